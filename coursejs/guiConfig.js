@@ -16,6 +16,47 @@ GuiConfig.dropdownOptions.objects = [
   "None",
   "Sphere",
   "Box",
+  "SpinningBox",
+  "TableAndBall",
+  "Capsule",
+  "Cylinder",
+  "Torus",
+  // Triangle meshes
+  "Icosahedron",
+  "TorusKnot",
+];
+
+GuiConfig.dropdownOptions.selfIntersectionMethods = [
+  "SpatialHash",
+  "BruteForce",
+];
+
+GuiConfig.dropdownOptions.solvers = [
+  "Legacy",
+  "XPBD",
+];
+
+GuiConfig.dropdownOptions.integrators = [
+  "Verlet",
+  "SymplecticEuler",
+  "RK4",
+  "BackwardEuler",
+];
+
+GuiConfig.dropdownOptions.clothShapes = [
+  "Rectangle",
+  "Circle",
+  "Ring",
+  "Shirt",
+  "Tube",
+  "Skirt",
+  "Custom",
+];
+
+GuiConfig.dropdownOptions.orientations = [
+  "Horizontal",
+  "Vertical",
+  "Custom",
 ];
 
 GuiConfig.dropdownOptions.pinned = [
@@ -27,6 +68,30 @@ GuiConfig.dropdownOptions.pinned = [
   "Random",
 ];
 
+// Returns the entries of GuiConfig.defs for the plugin forces registered so
+// far (see js/forces.js): a checkbox to turn each force on, and a slider for
+// each of its parameters, in the force's folder.
+GuiConfig.forceDefs = function() {
+  let defs = [];
+  for (let force of Forces.list) {
+    let folderName = force.folderName || "Forces";
+    defs.push({
+      folderName: folderName,
+      name: force.name,
+      param: force.param,
+    });
+    for (let p of force.params) {
+      defs.push({
+        folderName: folderName,
+        name: p.name,
+        param: p.param,
+        range: p.range,
+      });
+    }
+  }
+  return defs;
+};
+
 // Each entry of GuiConfig.defs will have one Gui element created for it.
 /* Parameters are as follows:
     - folderName: what folder to place this entry in
@@ -43,9 +108,45 @@ GuiConfig.defs = [
    *                Top level
    ***************************************************/
   {
-    name: "Cloth Size",
-    param: "fabricLength",
-    range: [200, 1000, 20],
+    name: "Cloth Width",
+    param: "fabricWidth",
+    range: [100, 1000, 20],
+    onChange: Sim.restartCloth,
+  },
+  {
+    name: "Cloth Height",
+    param: "fabricHeight",
+    range: [100, 1000, 20],
+    onChange: Sim.restartCloth,
+  },
+  {
+    name: "Cloth Shape",
+    param: "clothShape",
+    dropdownOptions: GuiConfig.dropdownOptions.clothShapes,
+    defaultOption: GuiConfig.dropdownOptions.clothShapes[0],
+    onChange: Sim.restartCloth,
+  },
+  {
+    name: "Import SVG Pattern",
+    param: "importClothPattern",
+    onClick: Scene.chooseClothPattern,
+  },
+  {
+    name: "Pattern Scale",
+    param: "patternScale",
+    range: [0.1, 10, 0.1],
+    onChange: Scene.updateClothPattern,
+  },
+  {
+    name: "Curve Tolerance",
+    param: "patternTolerance",
+    range: [0.1, 10, 0.1],
+    onChange: Scene.updateClothPattern,
+  },
+  {
+    name: "Particle Spacing",
+    param: "restDistance",
+    range: [5, 50, 1],
     onChange: Sim.restartCloth,
   },
   {
@@ -79,42 +180,79 @@ GuiConfig.defs = [
     folderName: "Forces",
     name: "wind strength",
     param: "windStrength",
-    range: [0,50,0.1],
+    range: [0,1000,10],
   },
   {
     folderName: "Forces",
-    name: "rain",
-    param: "rain",
+    name: "wind azimuth",
+    param: "windAzimuth",
+    range: [0,360,1],
   },
   {
     folderName: "Forces",
-    name: "rain strength",
-    param: "rainStrength",
-    range: [0,50,0.1],
+    name: "wind elevation",
+    param: "windElevation",
+    range: [-90,90,1],
   },
   {
     folderName: "Forces",
-    name: "rain rate",
-    param: "rainRate",
-    range: [0,50,1],
+    name: "drag coefficient",
+    param: "dragCoefficient",
+    range: [0,3,0.05],
+  },
+  {
+    folderName: "Forces",
+    name: "lift coefficient",
+    param: "liftCoefficient",
+    range: [0,3,0.05],
+  },
+  {
+    folderName: "Forces",
+    name: "turbulent wind",
+    param: "turbulentWind",
+  },
+  {
+    folderName: "Forces",
+    name: "turbulence",
+    param: "turbulence",
+    range: [0,2,0.05],
+  },
+  {
+    folderName: "Forces",
+    name: "turbulence scale",
+    param: "turbulenceScale",
+    range: [20,1000,10],
+  },
+  {
+    folderName: "Forces",
+    name: "gust frequency",
+    param: "gustFrequency",
+    range: [0,5,0.05],
   },
   {
     folderName: "Forces",
-    name: "custom",
-    param: "customForce",
+    name: "show wind",
+    param: "showWind",
+  },
+  {
+    folderName: "Forces",
+    name: "rain",
+    param: "rain",
   },
   {
     folderName: "Forces",
-    name: "custom strength",
-    param: "customFStrength",
+    name: "rain strength",
+    param: "rainStrength",
     range: [0,50,0.1],
   },
   {
     folderName: "Forces",
-    name: "custom rate",
-    param: "customFRate",
+    name: "rain rate",
+    param: "rainRate",
     range: [0,50,1],
   },
+  // Sliders for the plugin forces in js/forces.js
+  ...GuiConfig.forceDefs(),
   /***************************************************
    *             Scene folder
    ***************************************************/
@@ -134,7 +272,7 @@ GuiConfig.defs = [
   },
   {
     folderName: "Scene",
-    name: "moving sphere",
+    name: "moving objects",
     param: "movingSphere",
   },
   {
@@ -145,6 +283,70 @@ GuiConfig.defs = [
     defaultOption: GuiConfig.dropdownOptions.pinned[1],
     onChange: Sim.pinCloth,
   },
+  {
+    folderName: "Scene",
+    name: "cloth orientation",
+    param: "clothOrientation",
+    dropdownOptions: GuiConfig.dropdownOptions.orientations,
+    defaultOption: GuiConfig.dropdownOptions.orientations[0],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth rotation x",
+    param: "clothRotationX",
+    range: [-180, 180, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth rotation y",
+    param: "clothRotationY",
+    range: [-180, 180, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth rotation z",
+    param: "clothRotationZ",
+    range: [-180, 180, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth x",
+    param: "clothPositionX",
+    range: [-500, 500, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth y",
+    param: "clothPositionY",
+    range: [-200, 800, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth z",
+    param: "clothPositionZ",
+    range: [-500, 500, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "cloth drape",
+    param: "clothDrape",
+    range: [-200, 200, 1],
+    onChange: Sim.restartCloth,
+  },
+  {
+    folderName: "Scene",
+    name: "random seed",
+    param: "seed",
+    range: [0, 10000, 1],
+    onChange: Sim.restartCloth,
+  },
 
   /***************************************************
    *             Behavior folder
@@ -167,6 +369,85 @@ GuiConfig.defs = [
     param: "bendingSprings",
     onChange: Sim.restartCloth,
   },
+  {
+    folderName: "Behavior",
+    name: "structural stiffness",
+    param: "structuralStiffness",
+    range: [0,1,0.01],
+    onChange: Sim.updateStiffnesses,
+  },
+  {
+    folderName: "Behavior",
+    name: "shear stiffness",
+    param: "shearStiffness",
+    range: [0,1,0.01],
+    onChange: Sim.updateStiffnesses,
+  },
+  {
+    folderName: "Behavior",
+    name: "bending stiffness",
+    param: "bendingStiffness",
+    range: [0,1,0.01],
+    onChange: Sim.updateStiffnesses,
+  },
+  {
+    folderName: "Behavior",
+    name: "seam stiffness",
+    param: "seamStiffness",
+    range: [0,1,0.01],
+    onChange: Sim.updateStiffnesses,
+  },
+  {
+    folderName: "Behavior",
+    name: "sewing steps",
+    param: "sewingSteps",
+    range: [0,500,1],
+  },
+  {
+    folderName: "Behavior",
+    name: "Integrator",
+    param: "integrator",
+    dropdownOptions: GuiConfig.dropdownOptions.integrators,
+    defaultOption: GuiConfig.dropdownOptions.integrators[0],
+  },
+  {
+    folderName: "Behavior",
+    name: "timestep",
+    param: "TIMESTEP",
+    range: [0.001,0.2,0.001],
+  },
+  {
+    folderName: "Behavior",
+    name: "time scale",
+    param: "timeScale",
+    range: [0.05,4,0.05],
+  },
+  {
+    folderName: "Behavior",
+    name: "spring constant",
+    param: "springConstant",
+    range: [10,5000,10],
+    onChange: Sim.updateStiffnesses,
+  },
+  {
+    folderName: "Behavior",
+    name: "solver",
+    param: "solver",
+    dropdownOptions: GuiConfig.dropdownOptions.solvers,
+    defaultOption: GuiConfig.dropdownOptions.solvers[0],
+  },
+  {
+    folderName: "Behavior",
+    name: "solver iterations",
+    param: "solverIterations",
+    range: [1,50,1],
+  },
+  {
+    folderName: "Behavior",
+    name: "substeps",
+    param: "substeps",
+    range: [1,20,1],
+  },
   {
     folderName: "Behavior",
     name: "show constraints",
@@ -178,6 +459,41 @@ GuiConfig.defs = [
     name: "NoSelfIntersect",
     param: "avoidClothSelfIntersection",
   },
+  {
+    folderName: "Behavior",
+    name: "self thickness",
+    param: "selfIntersectionThickness",
+    range: [1,50,1],
+  },
+  {
+    folderName: "Behavior",
+    name: "self method",
+    param: "selfIntersectionMethod",
+    dropdownOptions: GuiConfig.dropdownOptions.selfIntersectionMethods,
+    defaultOption: GuiConfig.dropdownOptions.selfIntersectionMethods[0],
+  },
+  {
+    folderName: "Behavior",
+    name: "NoSelfCross",
+    param: "continuousSelfCollision",
+  },
+  {
+    folderName: "Behavior",
+    name: "cross thickness",
+    param: "selfCollisionThickness",
+    range: [0.5,20,0.5],
+  },
+  {
+    folderName: "Behavior",
+    name: "tearable",
+    param: "tearable",
+  },
+  {
+    folderName: "Behavior",
+    name: "tear threshold",
+    param: "tearThreshold",
+    range: [1.1,10,0.1],
+  },
   {
    folderName: "Behavior",
    name: "wave",
@@ -261,6 +577,21 @@ GuiConfig.defs = [
    /***************************************************
     *             Top level
     ***************************************************/
+   {
+     name: "Play/Pause (p)",
+     param: "togglePause",
+     onClick: Sim.togglePause,
+   },
+   {
+     name: "Step forward (.)",
+     param: "stepForward",
+     onClick: Sim.stepForward,
+   },
+   {
+     name: "Step back (,)",
+     param: "stepBack",
+     onClick: Sim.stepBack,
+   },
    {
      name: "Restart simulation",
      param: "restartCloth",
@@ -15,29 +15,98 @@ class Params {
     // Acceleration due to gravity, scaled up experimentally for effect.
     this.GRAVITY = 9.8 * 140;
 
+    // Density of the air the wind blows, also scaled experimentally
+    this.airDensity = 2e-5;
+
     // The timestep (or deltaT used in integration of the equations of motion)
     // Smaller values result in a more stable simulation, but becomes slower.
     // This value was found experimentally to work well in this simulation.
     this.TIMESTEP = 18 / 1000;
 
+    // How fast the simulation runs compared to real time:
+    // < 1 for slow motion, > 1 to fast forward
+    this.timeScale = 1;
+
+    // At most this many TIMESTEPs are simulated per rendered frame. When the
+    // simulation can't keep up with real time, it slows down instead.
+    this.maxStepsPerFrame = 8;
+
+    // How many of the most recent steps can be stepped back through
+    this.historyLength = 300;
+
+    // How particles are moved forward in time: "Verlet" enforces the springs
+    // as constraints, while "SymplecticEuler", "RK4" and "BackwardEuler"
+    // integrate them as Hooke's law springs (see `integrators.js`).
+    // BackwardEuler stays stable with a TIMESTEP far larger than the default.
+    this.integrator = "Verlet";
+
+    // Hooke's law constant of a spring with stiffness 1, for the integrators
+    // that treat constraints as springs. At the default TIMESTEP, this
+    // stretches the cloth about as much as the Verlet integrator does.
+    this.springConstant = 300;
+
     // ====================================================================
     //                   Properties of the cloth
     // ====================================================================
-    this.fabricLength = 500;  // sets the length of the cloth in both dimensions
+    this.fabricWidth = 500;  // the width of the cloth, in units
+    this.fabricHeight = 500; // the height of the cloth, in units
+    // The shape the cloth is cut into: a "Rectangle" grid, one of the shapes
+    // in Panel.shapes, or "Custom" panels given to the Simulation
+    this.clothShape = "Rectangle";
+    // How SVG sewing patterns are imported (see SvgPattern): how many units
+    // one unit of the file is, and how far the edges cut from its curves can
+    // stray from them, in units
+    this.patternScale = 1;
+    this.patternTolerance = 1;
+
+    // Where the cloth starts: the position of its centre, and how it is
+    // turned, "Horizontal", "Vertical" (hanging with its v = 0 edge on top)
+    // or "Custom", turned by clothRotationX/Y/Z (Euler angles in degrees)
+    this.clothPositionX = 0;
+    this.clothPositionY = 125;
+    this.clothPositionZ = 0;
+    this.clothOrientation = "Horizontal";
+    this.clothRotationX = 0;
+    this.clothRotationY = 0;
+    this.clothRotationZ = 0;
+    // How far the middle of the cloth starts sagging out of its plane, in
+    // units, so that it starts partly draped
+    this.clothDrape = 0;
 
     // Natural resting distances
     // (these are explicitly redefined in cloth.js)
-    this.restDistance = 20; // the natural resting distance of adjacent springs
+    // The spacing of adjacent particles, i.e. the resolution of the cloth,
+    // whatever its size. cloth.js stretches it slightly to fit a whole number
+    // of segments into each side.
+    this.restDistance = 20;
     this.restDistanceB = 2; // natural distance multiplier of 2-apart springs
     this.restDistanceS = Math.sqrt(2); // natural distance multiplier of diagonal springs
 
-    this.xSegs = Math.round(this.fabricLength / this.restDistance); // how many particles wide is the cloth
-    this.ySegs = Math.round(this.fabricLength / this.restDistance); // how many particles tall is the cloth
+    this.xSegs = Math.round(this.fabricWidth / this.restDistance); // how many particles wide is the cloth
+    this.ySegs = Math.round(this.fabricHeight / this.restDistance); // how many particles tall is the cloth
 
     // Which spring types to use in the cloth
     this.structuralSprings = true;
     this.shearSprings = true;
     this.bendingSprings = true;
+
+    // How stiff each spring type is, from 0 (no spring) to 1 (infinitely stiff).
+    // Soft knits have low shear and bending stiffness, stiff canvas has high.
+    this.structuralStiffness = 1;
+    this.shearStiffness = 1;
+    this.bendingStiffness = 1;
+    // How stiff the threads pulling the seams of panels together are, and
+    // how many steps they take to pull them together before the seams are
+    // welded (see Panel.prototype.sew)
+    this.seamStiffness = 1;
+    this.sewingSteps = 40;
+
+    // How constraints are enforced: "Legacy" corrects each spring once per
+    // step, "XPBD" solves them in substeps, so that the stiffness doesn't
+    // depend on the cloth's resolution or the TIMESTEP.
+    this.solver = "Legacy";
+    this.solverIterations = 4; // XPBD passes over the constraints per substep
+    this.substeps = 2; // XPBD substeps per TIMESTEP
     this.showConstraints = false; // should constraints be drawn to screen?
     this.allowShownConstraintMovement = false; // should drawn constraints be locked in place?
 
@@ -56,15 +125,28 @@ class Params {
     this.waveFreq = 5; // Frequency of wave oscillations (units are complicated, proportional to Hz)
 
     this.wind = false; // Should the wind force be enabled?
-    this.windStrength = 30; // scalar multiplier for wind force magnitude
-
-    this.rain = false; // Should the rain impulse be enabled?
-    this.rainStrength = 6; // scalar multiplier for rain impulse magnitude
-    this.rainRate = 5; // Number of droplets per fixed area per time step.
-
-    this.customForce = false; // Should the custom force be enabled?
-    this.customFStrength = 10; // custom strength parameter
-    this.customFRate = 5; // custom rate parameter
+    this.windStrength = 300; // speed of the wind, in units per second
+    // Direction the wind blows towards: around the vertical axis from +x
+    // towards +z, and above the horizontal, in degrees
+    this.windAzimuth = 45;
+    this.windElevation = 35;
+    // How strongly the air pushes each triangle of the cloth along the flow
+    // (drag) and across it (lift)
+    this.dragCoefficient = 1;
+    this.liftCoefficient = 0.5;
+    // Should the wind swirl in eddies that vary from place to place?
+    this.turbulentWind = false;
+    this.turbulence = 0.5; // speed of the eddies, as a fraction of the wind's
+    this.turbulenceScale = 200; // size of the eddies, in units
+    this.gustFrequency = 0.5; // how often the eddies change shape, in Hz
+    this.showWind = false; // Should arrows show the wind around the cloth?
+
+    this.rain = false; // Should it rain?
+    this.rainStrength = 6; // how far a raindrop pushes the cloth, in units
+    this.rainRate = 5; // Number of raindrops falling on the cloth per time step.
+
+    // The parameters of the plugin forces (attractor, vortex, explosion,
+    // spring to target, ...) are added by Forces.register (see js/forces.js)
 
     // Similar to coefficient of friction
     // 0 = frictionless, 1 = cloth sticks in place
@@ -72,13 +154,32 @@ class Params {
 
     // Flag for whether cloth should avoid self intersections
     this.avoidClothSelfIntersection = false;
+    // Particles closer than this distance are pushed apart to avoid them
+    this.selfIntersectionThickness = 10;
+    // How to find such particles: "SpatialHash" or the quadratic "BruteForce"
+    this.selfIntersectionMethod = "SpatialHash";
+
+    // Flag for whether the triangles of the cloth should be stopped from
+    // passing through each other (more expensive than particle repulsion)
+    this.continuousSelfCollision = false;
+    // Distance the triangles of the cloth are kept apart by
+    this.selfCollisionThickness = 2;
+
+    // Flag for whether the cloth tears where it is stretched too far
+    this.tearable = false;
+    // Constraints tear once stretched to this many times their rest distance
+    this.tearThreshold = 4;
+
+    // Seed for the simulation's random number generator. Runs with the same
+    // seed (and other parameters) produce exactly the same random pins and rain.
+    this.seed = 1;
 
     // ====================================================================
     //             Physical properties of scene objects
     // ====================================================================
     // Properties of objects in the scene
     this.object = "None"; // Which object is present in the scene
-    this.movingSphere = false; // if the sphere is present, is it moving?
+    this.movingSphere = false; // are the sphere and the spinning box moving?
 
     // Properties of sphere and ground
     this.groundY = -249;
@@ -119,13 +220,16 @@ class Params {
 
     // What framerate should video recordings be exported in?
     this.recordingFramerate = 60;
+
+    // Plugin forces registered before this Params was made
+    if (typeof Forces !== "undefined") Forces.addDefaults(this);
   }
 
   // (Re)define all the properties that are derived from others
   // To be called on page reload, after URL params are read in.
   update() {
-    this.xSegs = Math.round(this.fabricLength / this.restDistance);
-    this.ySegs = Math.round(this.fabricLength / this.restDistance);
+    this.xSegs = Math.max(1, Math.round(this.fabricWidth / this.restDistance));
+    this.ySegs = Math.max(1, Math.round(this.fabricHeight / this.restDistance));
 
 
     // Move these to Scene.update();
@@ -231,6 +335,12 @@ Params.storeToURL = function() {
     // Don't put derived types in the url
     if (key === "xSegs" || key == "ySegs") continue;
 
+    // Always put the seed in the url, so shared urls reproduce the same run
+    if (key === "seed") {
+      params[key] = SceneParams[key];
+      continue;
+    }
+
     // Put all other types into the url
     if (SceneParams[key] !== DefaultParams[key]) {
       params[key] = SceneParams[key];
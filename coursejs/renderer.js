@@ -8,8 +8,6 @@ var Renderer = Renderer || {};
 
 if (!Detector.webgl) Detector.addGetWebGLMessage();
 
-var time = 0;
-
 function main() {
   Renderer.init();
   Renderer.animate();
@@ -55,15 +53,22 @@ function onMouseMove( event ) {
 }
 
 
-Renderer.animate = function() {
+// Params:
+// * timestamp: Number - the time at which requestAnimationFrame called this,
+//      in milliseconds; undefined on the first call
+Renderer.animate = function(timestamp) {
   requestAnimationFrame(Renderer.animate);
 
-  // Using realtime clocks leads to undesirable effects when simulation is
-  // paused or slowed down
-  // time = Date.now();
-  time += 30; // equivalent to ~33 fps
-
-  Sim.simulate(); // run physics simulation to create new positions of cloth
+  // Simulate however much real time has passed since the last frame, so that
+  // the simulation runs at the same speed whatever the refresh rate.
+  // The clock can jump backwards when recording starts (CCapture replaces it),
+  // so never go backwards in time.
+  let elapsed = 0;
+  if (timestamp !== undefined && Renderer.lastTimestamp !== undefined) {
+    elapsed = Math.max(0, timestamp - Renderer.lastTimestamp);
+  }
+  Renderer.lastTimestamp = timestamp;
+  Sim.simulate(elapsed); // run physics simulation to create new positions of cloth
   Renderer.render(); // update position of cloth, compute normals, rotate camera, render the scene
   Scene.stats.update();
   Scene.controls.update();
@@ -71,19 +76,25 @@ Renderer.animate = function() {
 
 // the rendering happens here
 Renderer.render = function() {
-  let timer = time * 0.0002 * 0.8; // a hack
+  let simulation = Sim.simulation;
+  let cloth = simulation.cloth;
+  let timer = simulation.time * 0.0002 * 0.8; // a hack
+
+  // leave out the faces the cloth has torn along, or render the particles
+  // left after welding its seams
+  Scene.updateClothFaces(cloth);
 
   // update position of the cloth
   // i.e. copy positions from the particles (i.e. result of physics simulation)
-  // to the cloth geometry
+  // to the cloth geometry, interpolated between the last two steps
   let p = cloth.particles;
   for (let i = 0, il = p.length; i < il; i++) {
-    Scene.cloth.geometry.vertices[i].copy(p[i].position);
+    simulation.interpolatePosition(i, Scene.cloth.geometry.vertices[i]);
   }
 
   // Draw lines in the scene to visualize where constraints have been placed
   if (SceneParams.showConstraints) {
-    cloth.createConstraintLinesInScene();
+    Scene.createConstraintLines(cloth);
     let cs = cloth.constraints;
     for (let i = 0, il = cs.length; i < il; i++) {
       let obj = Scene.cloth.constraints.array[i];
@@ -107,8 +118,22 @@ Renderer.render = function() {
   Scene.cloth.geometry.normalsNeedUpdate = true;
   Scene.cloth.geometry.verticesNeedUpdate = true;
 
-  // update sphere position from current sphere position in simulation
-  Scene.sphere.mesh.position.copy(Scene.sphere.position);
+  // update the colliders' meshes from the colliders in the simulation
+  Scene.updateColliders(simulation.colliders);
+
+  // show where the wind is blowing
+  Scene.updateWindArrows(cloth, simulation.time);
+
+  // draw the rain where it is falling
+  Scene.updateRain(simulation.rain);
+
+  // Grow/shrink the poles to match the oscillating edge of the `wave` feature
+  if (SceneParams.wave) {
+    let poles = Scene.poles;
+    for (let i of [0, 3]) {
+      poles.meshes[i].scale.y = (poles.heights[i] + cloth.waveOffset) / poles.height;
+    }
+  }
 
   // option to auto-rotate camera
   if (SceneParams.rotate) {
@@ -229,5 +254,25 @@ window.addEventListener("keyup", function(event) {
   }
 });
 
+// add event listener for pausing and stepping the simulation
+// These keys act on keydown, so that holding one down keeps stepping.
+window.addEventListener("keydown", function(event) {
+  // Ignore keypresses typed into a text box
+  if (event.target.tagName == "INPUT") return;
+
+  // 'P' pauses or resumes the simulation
+  if (event.key == "p" && !event.repeat) {
+    Sim.togglePause();
+  }
+
+  // '.' steps forward, and ',' steps back
+  if (event.key == ".") {
+    Sim.stepForward();
+  }
+  if (event.key == ",") {
+    Sim.stepBack();
+  }
+});
+
 // Invoke the main function
 main();
@@ -29,8 +29,9 @@ Scene.init = function() {
   Scene.ground = Scene.buildGround();
   Scene.cloth  = Scene.buildCloth();
   Scene.poles  = Scene.buildPoles();
-  Scene.sphere = Scene.buildSphere();
-  Scene.box    = Scene.buildBox();
+  Scene.colliders = Scene.buildColliders();
+  Scene.windArrows = Scene.buildWindArrows();
+  Scene.rain = Scene.buildRain();
 
   Scene.update();
 }
@@ -128,7 +129,7 @@ Scene.buildCloth = function() {
 
   // cloth geometry
   // the geometry contains all the points and faces of an object
-  cloth.geometry = new THREE.ParametricGeometry(initParameterizedPosition, SceneParams.xSegs, SceneParams.ySegs);
+  cloth.geometry = new THREE.ParametricGeometry(clothParameterization(SceneParams), SceneParams.xSegs, SceneParams.ySegs);
   cloth.geometry.dynamic = true;
 
   // cloth mesh
@@ -166,30 +167,173 @@ Scene.buildCloth = function() {
   return cloth;
 }
 
-Scene.buildSphere = function() {
-  let sphere = {};
-  sphere.radius = SceneParams.sphereRadius;
-  sphere.geometry = new THREE.SphereGeometry(sphere.radius, 20, 20);
-  // sphere material
-  sphere.material = new THREE.MeshPhongMaterial({
+Scene.buildColliders = function() {
+  let colliders = {};
+
+  // collider material, shared by all of them
+  colliders.material = new THREE.MeshPhongMaterial({
     color: 0xaaaaaa,
     side: THREE.DoubleSide,
     transparent: true,
     opacity: 0.15, // clipping is an issue, so set low opacity
   });
 
-  // sphere mesh
-  sphere.mesh = new THREE.Mesh(sphere.geometry, sphere.material);
-  sphere.mesh.castShadow = true;
-  sphere.mesh.receiveShadow = true;
+  // The colliders are owned by the simulation (see ColliderRegistry), so
+  // their meshes are created, moved and removed to match it in
+  // Scene.updateColliders. This maps each collider to its mesh (or to null,
+  // for the floor, which is drawn by the ground).
+  colliders.meshes = new Map();
+  return colliders;
+}
+
+// Create a mesh showing the given collider of the simulation, or return null
+// if it has no mesh of its own.
+// Params:
+// * collider: Object - see ColliderRegistry
+Scene.buildColliderMesh = function(collider) {
+  let geometry;
+  let up; // the direction along which the geometry is built
+  if (collider.type == "sphere") {
+    geometry = new THREE.SphereGeometry(collider.radius, 20, 20);
+  } else if (collider.type == "box") {
+    geometry = new THREE.BoxGeometry(collider.size.x, collider.size.y, collider.size.z);
+  } else if (collider.type == "capsule") {
+    // Revolve the outline of half a capsule, with rounded ends
+    let length = collider.axis.length();
+    let outline = [];
+    for (let i = 0; i <= 10; i++) {
+      let angle = (i / 10 - 1) * Math.PI / 2;
+      outline.push(new THREE.Vector2(collider.radius * Math.cos(angle), -length + collider.radius * Math.sin(angle)));
+    }
+    for (let i = 10; i >= 0; i--) {
+      let angle = (1 - i / 10) * Math.PI / 2;
+      outline.push(new THREE.Vector2(collider.radius * Math.cos(angle), length + collider.radius * Math.sin(angle)));
+    }
+    geometry = new THREE.LatheGeometry(outline, 20);
+    up = new THREE.Vector3(0, 1, 0);
+  } else if (collider.type == "cylinder") {
+    let length = 2 * collider.axis.length();
+    geometry = new THREE.CylinderGeometry(collider.radius, collider.radius, length, 20);
+    up = new THREE.Vector3(0, 1, 0);
+  } else if (collider.type == "torus") {
+    geometry = new THREE.TorusGeometry(collider.radius, collider.tube, 16, 48);
+    up = new THREE.Vector3(0, 0, 1);
+  } else if (collider.type == "plane") {
+    geometry = new THREE.PlaneGeometry(2000, 2000);
+    up = new THREE.Vector3(0, 0, 1);
+  } else if (collider.type == "mesh") {
+    geometry = collider.geometry;
+  } else {
+    return null;
+  }
+
+  let mesh = new THREE.Mesh(geometry, Scene.colliders.material);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  if (up) {
+    let direction = (collider.axis || collider.normal).clone().normalize();
+    mesh.quaternion.setFromUnitVectors(up, direction);
+  }
+  return mesh;
+}
+
+// Add, move and remove meshes so that they match the simulation's colliders.
+// Params:
+// * registry: ColliderRegistry - the colliders of the simulation
+Scene.updateColliders = function(registry) {
+  let meshes = Scene.colliders.meshes;
+  for (let [collider, mesh] of meshes) {
+    if (registry.list.indexOf(collider) >= 0) continue;
+    if (mesh) Scene.scene.remove(mesh);
+    meshes.delete(collider);
+  }
+
+  for (let collider of registry.list) {
+    if (!meshes.has(collider)) {
+      let mesh = Scene.buildColliderMesh(collider);
+      if (mesh) Scene.scene.add(mesh);
+      meshes.set(collider, mesh);
+    }
+    let mesh = meshes.get(collider);
+    if (mesh) {
+      mesh.position.copy(collider.position);
+      if (collider.quaternion) mesh.quaternion.copy(collider.quaternion);
+      mesh.visible = collider.enabled;
+    }
+  }
+}
+
+// Build arrows on a coarse grid around the cloth, to show the wind blowing
+// there (see Scene.updateWindArrows).
+Scene.buildWindArrows = function() {
+  let group = new THREE.Group();
+  let arrows = [];
+  for (let x = -400; x <= 400; x += 200) {
+    for (let y = -200; y <= 200; y += 100) {
+      for (let z = -400; z <= 400; z += 200) {
+        let origin = new THREE.Vector3(x, y, z);
+        let arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), origin, 1, 0x33aaff);
+        arrows.push(arrow);
+        group.add(arrow);
+      }
+    }
+  }
+  group.visible = false;
+  Scene.scene.add(group);
+  return { group: group, arrows: arrows };
+}
+
+// Point each wind arrow along the wind where it is, with its length in
+// proportion to the wind's speed, if the wind and its arrows are shown.
+// Params:
+// * cloth: Cloth - the cloth the wind blows on
+// * time: Number - the simulation time in milliseconds
+Scene.updateWindArrows = function(cloth, time) {
+  let group = Scene.windArrows.group;
+  group.visible = SceneParams.wind && SceneParams.showWind;
+  if (!group.visible) return;
+
+  let velocity = new THREE.Vector3();
+  for (let arrow of Scene.windArrows.arrows) {
+    cloth.windAt(arrow.position, SceneParams.windStrength, time, velocity);
+    let speed = velocity.length();
+    arrow.visible = speed > 0;
+    if (speed === 0) continue;
+    arrow.setDirection(velocity.divideScalar(speed));
+    arrow.setLength(speed * 0.3);
+  }
+}
 
-  let pos = new THREE.Vector3(0, -250 + sphere.radius, 0);
-  sphere.mesh.position.copy(pos);
-  sphere.position = pos.clone();
-  sphere.prevPosition = pos.clone();
+// Build the points that the droplets of rain are drawn as (see
+// Scene.updateRain).
+Scene.buildRain = function() {
+  let rain = {};
+  rain.geometry = new THREE.BufferGeometry();
+  rain.material = new THREE.PointsMaterial({
+    color: 0x99ccff,
+    size: 4,
+    transparent: true,
+    opacity: 0.8,
+  });
+  rain.points = new THREE.Points(rain.geometry, rain.material);
+  // The droplets are spread all over the scene
+  rain.points.frustumCulled = false;
+  Scene.scene.add(rain.points);
+  return rain;
+}
 
-  Scene.scene.add(sphere.mesh); // add sphere to scene
-  return sphere;
+// Draw the droplets of the given rain where they are.
+// Params:
+// * rain: Rain - the rain of the simulation
+Scene.updateRain = function(rain) {
+  let geometry = Scene.rain.geometry;
+  let attribute = geometry.getAttribute("position");
+  if (!attribute || attribute.array !== rain.positions) {
+    attribute = new THREE.BufferAttribute(rain.positions, 3);
+    geometry.addAttribute("position", attribute);
+  }
+  attribute.needsUpdate = true;
+  geometry.setDrawRange(0, rain.count);
 }
 
 Scene.buildGround = function() {
@@ -238,8 +382,6 @@ Scene.buildPoles = function() {
   });
 
   let mesh1 = new THREE.Mesh(poles.geometry, poles.material);
-  mesh1.position.x = -250;
-  mesh1.position.z = 250;
   mesh1.position.y = SceneParams.groundY;
   mesh1.receiveShadow = false;
   mesh1.castShadow = false;
@@ -247,8 +389,6 @@ Scene.buildPoles = function() {
   Scene.scene.add(mesh1);
 
   let mesh2 = new THREE.Mesh(poles.geometry, poles.material);
-  mesh2.position.x = 250;
-  mesh2.position.z = 250;
   mesh2.position.y = SceneParams.groundY;
   mesh2.receiveShadow = false;
   mesh2.castShadow = false;
@@ -256,8 +396,6 @@ Scene.buildPoles = function() {
   Scene.scene.add(mesh2);
 
   let mesh3 = new THREE.Mesh(poles.geometry, poles.material);
-  mesh3.position.x = 250;
-  mesh3.position.z = -250;
   mesh3.position.y = SceneParams.groundY;
   mesh3.receiveShadow = false;
   mesh3.castShadow = false;
@@ -265,40 +403,123 @@ Scene.buildPoles = function() {
   Scene.scene.add(mesh3);
 
   let mesh4 = new THREE.Mesh(poles.geometry, poles.material);
-  mesh4.position.x = -250;
-  mesh4.position.z = -250;
   mesh4.position.y = SceneParams.groundY;
   mesh4.receiveShadow = false;
   mesh4.castShadow = false;
   poles.meshes.push(mesh4);
   Scene.scene.add(mesh4);
 
+  Scene.placePoles(poles);
   return poles;
 }
 
-Scene.buildBox = function() {
-  let box = {}
+// Stand the poles under the corners of the cloth where it starts (see
+// clothParameterization), each reaching up from the ground to its corner.
+// The height each pole reaches up to is stored in poles.heights, and poles
+// under corners below the ground, or of a cloth cut from panels, which has
+// no corners, are hidden.
+// Params:
+// * poles: Object - the poles to place; defaults to Scene.poles
+Scene.placePoles = function(poles) {
+  if (poles === undefined) poles = Scene.poles;
+  let cut = Sim.simulation !== undefined && Sim.simulation.cloth.panels;
+  let parameterization = clothParameterization(SceneParams);
+  // The (u, v) coordinates of the corner each pole holds up
+  let corners = [[0, 1], [1, 1], [1, 0], [0, 0]];
+  let corner = new THREE.Vector3();
+  poles.heights = [];
+  for (let i = 0; i < poles.meshes.length; i++) {
+    parameterization(corners[i][0], corners[i][1], corner);
+    let height = corner.y - SceneParams.groundY;
+    poles.heights.push(height);
+    poles.meshes[i].position.x = corner.x;
+    poles.meshes[i].position.z = corner.z;
+    poles.meshes[i].scale.y = height / poles.height;
+    poles.meshes[i].visible = height > 0 && !cut;
+  }
+}
 
-  // create a box mesh
-  box.geometry = new THREE.BoxGeometry(250, 100, 250);
-  box.material = new THREE.MeshPhongMaterial({
-    color: 0xaaaaaa,
-    side: THREE.DoubleSide,
-    transparent: true,
-    opacity: 0.15, // clipping is an issue, so set a low opacity
+// Build the geometry to render the given cloth with: a vertex where each
+// particle is, and its faces, with the particles' texture coordinates.
+// For a new grid, this is the same as THREE.ParametricGeometry would build.
+// Params:
+// * cloth: Cloth - the cloth to render
+Scene.buildClothGeometry = function(cloth) {
+  let geometry = new THREE.Geometry();
+  geometry.vertices = cloth.particles.map(function(particle) {
+    return particle.position.clone();
+  });
+  geometry.faces = cloth.faces.map(function(face) {
+    return new THREE.Face3(face.a, face.b, face.c);
   });
-  box.mesh = new THREE.Mesh(box.geometry, box.material);
-  box.mesh.position.x = 0;
-  box.mesh.position.y = 0;
-  box.mesh.position.z = 0;
-  box.mesh.receiveShadow = true;
-  box.mesh.castShadow = true;
+  geometry.faceVertexUvs[0] = cloth.faces.map(function(face) {
+    return [cloth.uvs[face.a].clone(), cloth.uvs[face.b].clone(), cloth.uvs[face.c].clone()];
+  });
+  geometry.computeFaceNormals();
+  geometry.computeVertexNormals();
+  geometry.dynamic = true;
+  return geometry;
+}
+
+// Render the given cloth with a geometry built for it (see
+// Scene.buildClothGeometry).
+// Params:
+// * cloth: Cloth - the cloth to render
+Scene.setClothGeometry = function(cloth) {
+  Scene.cloth.geometry = Scene.buildClothGeometry(cloth);
+  Scene.cloth.mesh.geometry = Scene.cloth.geometry;
+  Scene.cloth.particles = cloth.particles;
+  Scene.cloth.faces = cloth.faces;
+}
+
+// Give the cloth's rendered geometry the same faces as the given cloth, if
+// it has torn (or been stepped back to before it tore) since they were last
+// given (see Cloth.prototype.removeConstraints), or build it anew if its
+// seams have been welded (or stepped back to before they were).
+Scene.updateClothFaces = function(cloth) {
+  if (Scene.cloth.particles !== cloth.particles) {
+    Scene.setClothGeometry(cloth);
+    return;
+  }
+  if (Scene.cloth.faces === cloth.faces) return;
+  Scene.cloth.faces = cloth.faces;
+
+  // Each vertex keeps the texture coordinates of its particle
+  let uvs = cloth.uvs;
+  let geometry = Scene.cloth.geometry;
+  geometry.faces = cloth.faces.map(function(face) {
+    return new THREE.Face3(face.a, face.b, face.c);
+  });
+  geometry.faceVertexUvs[0] = cloth.faces.map(function(face) {
+    return [uvs[face.a], uvs[face.b], uvs[face.c]];
+  });
+  geometry.elementsNeedUpdate = true;
+  geometry.uvsNeedUpdate = true;
+}
 
-  box.geometry.computeBoundingBox();
-  box.boundingBox = box.geometry.boundingBox.clone();
+// Create lines in the scene to visualize where the given cloth's
+// constraints have been placed, if not already created for its current
+// constraints
+Scene.createConstraintLines = function(cloth) {
+  if (Scene.cloth.constraints) {
+    if (Scene.cloth.constraints.source === cloth.constraints) return;
+    // The cloth has torn since they were created
+    Scene.scene.remove(Scene.cloth.constraints.group);
+  }
 
-  Scene.scene.add(box.mesh);
-  return box;
+  let group = new THREE.Group();
+  let objs = [];
+  for (let c of cloth.constraints) {
+    let obj = Scene.createConstraintLine(c);
+    objs.push(obj);
+    group.add(obj.mesh);
+  }
+  Scene.cloth.constraints = {
+    array: objs,
+    group: group,
+    source: cloth.constraints,
+  };
+  Scene.scene.add(group);
 }
 
 Scene.createConstraintLine = function(constraint) {
@@ -318,13 +539,9 @@ Scene.createConstraintLine = function(constraint) {
   // figure out materials
   let mats = Scene.constraintMaterials;
   let mat = mats[3]; // black
-  let d = constraint.distance;
-  let rest = SceneParams.restDistance;
-  let restB = rest * SceneParams.restDistanceB;
-  let restS = rest * SceneParams.restDistanceS;
-  if      (d == rest)   mat = mats[0];
-  else if (d == restS)  mat = mats[1];
-  else if (d == restB)  mat = mats[2];
+  if      (constraint.type == "structural") mat = mats[0];
+  else if (constraint.type == "shear")      mat = mats[1];
+  else if (constraint.type == "bending")    mat = mats[2];
 
   line.mesh = new THREE.Line(line.geometry, mat);
   // Scene.scene.add(line.mesh);
@@ -334,8 +551,7 @@ Scene.createConstraintLine = function(constraint) {
 Scene.showWireframe = function(flag) {
   Scene.poles.material.wireframe = flag;
   Scene.cloth.material.wireframe = flag;
-  Scene.sphere.material.wireframe = flag;
-  Scene.box.material.wireframe = flag;
+  Scene.colliders.material.wireframe = flag;
 }
 
 // this part allows us to use an image for the cloth texture
@@ -365,6 +581,42 @@ Scene.buildClothTexture = function(imgName) {
   return [texture, customDepthMaterial];
 }
 
+// this part lets the user cut the cloth from a sewing pattern in an SVG file
+// on their computer (see SvgPattern)
+Scene.chooseClothPattern = function() {
+  let input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".svg,image/svg+xml";
+  input.addEventListener("change", function() {
+    if (input.files.length > 0) Scene.loadClothPattern(input.files[0]);
+  });
+  input.click();
+}
+
+Scene.loadClothPattern = function(file) {
+  let reader = new FileReader();
+  reader.onload = function() {
+    Scene.cloth.pattern = reader.result;
+    Scene.cutClothPattern();
+  };
+  reader.readAsText(file);
+}
+
+// Cut the cloth again from the last pattern loaded, e.g. at a new scale,
+// unless another shape has been chosen since
+Scene.updateClothPattern = function() {
+  if (Scene.cloth.pattern && SceneParams.clothShape == "Custom") Scene.cutClothPattern();
+}
+
+Scene.cutClothPattern = function() {
+  let panels = SvgPattern.parse(Scene.cloth.pattern, SceneParams.patternScale, SceneParams.patternTolerance);
+  if (panels.length == 0) {
+    alert("Sorry, the SVG pattern has no closed shapes to cut panels from.");
+    return;
+  }
+  Sim.setPanels(panels);
+}
+
 Scene.buildGroundTexture = function(imgName) {
   let fallback = function() {
     Scene.updateGroundTexture("404.png");
@@ -459,7 +711,5 @@ Scene.update = function() {
 
 
   // Reset any scaling from `wave` feature
-  for (let mesh of Scene.poles.meshes) {
-    mesh.scale.y = 1;
-  }
+  Scene.placePoles();
 }
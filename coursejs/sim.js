@@ -1,114 +1,64 @@
 var Sim = Sim || {};
 
-var randomPoints;
-var cloth;
+// Sim adapts the headless Simulation (see js/simulation.js) to the page:
+// it keeps the Scene's meshes in sync with the simulation and forwards
+// GUI and keyboard events to it.
 
 Sim.init = function() {
-  // Points by which cloth will be suspended in "Random" pinning mode.
-  randomPoints = [];
-
-  // The cloth object being simulated.
-  cloth = new Cloth(SceneParams.xSegs, SceneParams.ySegs, SceneParams.fabricLength);
-
-  Sim.update();
+  // The simulation that owns the cloth, its colliders and the clock.
+  Sim.simulation = new Simulation(SceneParams);
+
+  // Render the simulation's cloth, which may not be a grid
+  Scene.setClothGeometry(Sim.simulation.cloth);
+  Scene.placePoles();
+
+  // Make the cloth react to your keypresses.
+  window.addEventListener("keydown", Sim.handleImpactEvents, false);
+
+  // Let the mouse drag the cloth around, or cut it with Alt held down.
+  // Mouse down is caught on the way down to the canvas, so that the camera
+  // controls can be suspended before they see it.
+  Sim.dragPlane = new THREE.Plane();
+  Sim.cutFrom = null;
+  window.addEventListener("mousedown", Sim.handleGrabStart, true);
+  window.addEventListener("mousemove", Sim.handleGrabMove, false);
+  window.addEventListener("mouseup", Sim.handleGrabEnd, false);
 }
 
-// Performs one timestep of the simulation.
+// Performs as many timesteps of the simulation as the elapsed real time
+// requires (see Simulation.prototype.run).
 // This function is repeatedly called in a loop, and its results are
 // then rendered to the screen.
 // For more info, see animate() in render.js.
-Sim.simulate = function() {
-  // If toggled, update sphere position for interactive fun
-  if (SceneParams.movingSphere && Scene.sphere.mesh.visible) {
-    Sim.updateSpherePosition(Scene.sphere);
-  }
-
-  // Apply all relevant forces to the cloth's particles
-  cloth.applyForces();
-
-  // For each particle, perform Verlet integration to compute its new position
-  cloth.update(SceneParams.TIMESTEP);
-
-  // Handle collisions with other objects in the scene
-  cloth.handleCollisions();
+// Params:
+// * elapsed: Number - the real time since the last call, in milliseconds
+Sim.simulate = function(elapsed) {
+  Sim.simulation.run(elapsed);
+}
 
-  // Handle self-intersections
-  if (SceneParams.avoidClothSelfIntersection) {
-    cloth.handleSelfIntersections();
-  }
+// Pause the simulation if it is running, or resume it if it is paused.
+Sim.togglePause = function() {
+  Sim.simulation.paused = !Sim.simulation.paused;
+}
 
-  // Apply cloth constraints
-  cloth.enforceConstraints();
+// Pause the simulation, and move it forward by one timestep.
+Sim.stepForward = function() {
+  Sim.simulation.paused = true;
+  Sim.simulation.stepForward();
+}
 
-  // Pin constraints
-  Sim.enforcePinConstraints();
+// Pause the simulation, and move it back by one timestep.
+Sim.stepBack = function() {
+  Sim.simulation.paused = true;
+  Sim.simulation.stepBack();
 }
 
 /****** Helper functions for the simulation ******/
 /****** You do not need to know how these work ******/
 
-Sim.randomCoord = function() {
-  let randX = Math.round(Math.random() * cloth.w);
-  let randY = Math.round(Math.random() * cloth.h);
-  return new THREE.Vector2(randX, randY);
-}
-
 // update sim
 Sim.pinCloth = function(choice) {
-  if (choice == "Random" && randomPoints.length == 0) {
-    let nPoints = Math.round(Math.random() * 10) + 1;
-    randomPoints = [];
-    for (r = 0; r < nPoints; r++) {
-      randomPoints.push(Sim.randomCoord());
-    }
-  } else {
-    randomPoints = [];
-  }
-}
-
-Sim.enforcePinConstraints = function() {
-  let particles = cloth.particles;
-  const w = cloth.w;
-  const h = cloth.h;
-  // Special case for wave: keep one edge stationary while the opposing one oscillates
-  if (SceneParams.wave) {
-    for (let i = 0; i <= w; i++) {
-      particles[cloth.index(h, i)].lockToOriginal();
-      particles[cloth.index(0, i)].lock();
-    }
-    return;
-  }
-
-  if (SceneParams.pinned === "Corners") {
-    // could also do particles[blah].lock() which will lock particles to
-    // wherever they are, not to their original position
-    particles[cloth.index(0, 0)].lockToOriginal();
-    particles[cloth.index(w, 0)].lockToOriginal();
-    particles[cloth.index(0, h)].lockToOriginal();
-    particles[cloth.index(w, h)].lockToOriginal();
-  } else if (SceneParams.pinned === "OneEdge") {
-    for (let x = 0; x <= w; x++) {
-      particles[cloth.index(x, 0)].lockToOriginal();
-    }
-  } else if (SceneParams.pinned === "TwoEdges") {
-    for (let y = 0; y <= h; y++) {
-      particles[cloth.index(0, y)].lockToOriginal();
-      particles[cloth.index(w, y)].lockToOriginal();
-    }
-  } else if (SceneParams.pinned === "FourEdges") {
-    for (let i = 0; i <= w; i++) {
-      particles[cloth.index(0, i)].lockToOriginal();
-      particles[cloth.index(w, i)].lockToOriginal();
-      particles[cloth.index(i, 0)].lockToOriginal();
-      particles[cloth.index(i, h)].lockToOriginal();
-    }
-  } else if (SceneParams.pinned === "Random") {
-    for (let pt of randomPoints) {
-      particles[cloth.index(pt.x, pt.y)].lockToOriginal();
-    }
-  } else if (SceneParams.pinned === "None") {
-    return;
-  }
+  Sim.simulation.pinCloth(choice);
 }
 
 // restartCloth() is used when we change a fundamental cloth property with a slider
@@ -122,14 +72,10 @@ Sim.restartCloth = function() {
   Scene.cloth.constraints = undefined;
 
   // recreate the logical Cloth data structure
-  let xSegs = SceneParams.xSegs;
-  let ySegs = SceneParams.ySegs;
-  let fabricLength = SceneParams.fabricLength;
-  cloth = new Cloth(xSegs, ySegs, fabricLength);
+  Sim.simulation.restartCloth();
 
   // recreate cloth geometry
-  Scene.cloth.geometry = new THREE.ParametricGeometry(initParameterizedPosition, xSegs, ySegs);
-  Scene.cloth.geometry.dynamic = true;
+  Scene.setClothGeometry(Sim.simulation.cloth);
 
   // recreate cloth mesh
   Scene.cloth.mesh = new THREE.Mesh(Scene.cloth.geometry, Scene.cloth.material);
@@ -137,6 +83,28 @@ Sim.restartCloth = function() {
   Scene.cloth.mesh.castShadow = true;
 
   Scene.scene.add(Scene.cloth.mesh); // adds the cloth to the scene
+
+  // move the poles to the corners of the new cloth
+  Scene.placePoles();
+}
+
+// Cut the cloth from the given panels, e.g. the pieces of a garment pattern,
+// and restart it:
+//    Sim.setPanels([new Panel([new THREE.Vector2(0, 0), new THREE.Vector2(400, 0),
+//      new THREE.Vector2(200, 300)])]);
+// Params:
+// * panels: Panel[] - the panels to cut the cloth from (see Panel)
+Sim.setPanels = function(panels) {
+  Sim.simulation.panels = panels;
+  SceneParams.clothShape = "Custom";
+  Params.storeToURL();
+  Gui.refreshValues();
+  Sim.restartCloth();
+}
+
+// Apply changes to the stiffness sliders to the existing cloth.
+Sim.updateStiffnesses = function() {
+  Sim.simulation.cloth.updateStiffnesses();
 }
 
 // Update the scene to reflect changes made in the GUI.
@@ -145,24 +113,141 @@ Sim.update = function() {
   Sim.pinCloth(SceneParams.pinned);
 }
 
+// Replace the objects in the scene with one of Simulation.objects, and drop
+// the cloth onto it again.
+// Add other colliders alongside it from the console, e.g. a mannequin:
+//    Sim.simulation.colliders.addMesh(mannequinGeometry);
+// (see ColliderRegistry)
 Sim.placeObject = function(object) {
-  if (object == "Sphere" || object == "sphere") {
-    Scene.sphere.mesh.visible = true;
-    Scene.box.mesh.visible = false;
-    Sim.restartCloth();
-  } else if (object == "Box" || object == "box") {
-    Scene.sphere.mesh.visible = false;
-    Scene.box.mesh.visible = true;
+  let placed = Sim.simulation.placeObject(object);
+  if (placed && object.toLowerCase() != "none") {
     Sim.restartCloth();
-  } else if (object == "None" || object == "none") {
-    Scene.sphere.mesh.visible = false;
-    Scene.box.mesh.visible = false;
   }
 }
 
-Sim.updateSpherePosition = function(sphere) {
-  sphere.prevPosition.copy(sphere.position);
-  sphere.position.y = 50 * Math.sin(time / 600);
-  sphere.position.x = 50 * Math.sin(time / 600);
-  sphere.position.z = 50 * Math.cos(time / 600);
+// Handler for the mouse going down on the canvas: grab the particle of the
+// cloth under the cursor, if there is one, or start cutting the cloth if Alt
+// is held, and stop the camera from moving while the mouse is down.
+// Params:
+// * event: event - the mousedown event
+Sim.handleGrabStart = function(event) {
+  if (event.button !== 0 || event.target !== Scene.renderer.domElement) return;
+
+  onMouseMove(event);
+  if (event.altKey) {
+    // Start cutting instead (see Sim.handleGrabMove)
+    Sim.cutFrom = Renderer.mouse.clone();
+    Scene.controls.enabled = false;
+    return;
+  }
+
+  Renderer.raycaster.setFromCamera(Renderer.mouse, Scene.camera);
+  let hit = Sim.simulation.cloth.getLookedAtPoint(Renderer.raycaster, Scene.cloth.mesh);
+  if (!hit) return;
+
+  // The particle is dragged across the plane through it facing the camera
+  let position = Sim.simulation.cloth.particles[hit.index].position;
+  let normal = Scene.camera.getWorldDirection(new THREE.Vector3());
+  Sim.dragPlane.setFromNormalAndCoplanarPoint(normal, position);
+  Sim.simulation.grabParticle(hit.index, position);
+  Scene.controls.enabled = false;
+}
+
+// Handler for the mouse moving: drag the grabbed particle, if any, to where
+// the cursor is on the drag plane, or sever the constraints of the cloth
+// that the cursor has crossed since it last moved, if cutting.
+// Params:
+// * event: event - the mousemove event
+Sim.handleGrabMove = function(event) {
+  if (Sim.cutFrom) {
+    onMouseMove(event);
+    Sim.simulation.cloth.cut(Sim.cutFrom, Renderer.mouse, Scene.camera);
+    Sim.cutFrom.copy(Renderer.mouse);
+    return;
+  }
+  if (!Sim.simulation.grabbed) return;
+
+  onMouseMove(event);
+  Renderer.raycaster.setFromCamera(Renderer.mouse, Scene.camera);
+  let target = new THREE.Vector3();
+  if (Renderer.raycaster.ray.intersectPlane(Sim.dragPlane, target)) {
+    Sim.simulation.dragParticle(target);
+  }
+}
+
+// Handler for the mouse going up: stop cutting, or let go of the grabbed
+// particle, or pin it where it is if Shift is held, and give the camera
+// controls back.
+// Params:
+// * event: event - the mouseup event
+Sim.handleGrabEnd = function(event) {
+  if (Sim.cutFrom) {
+    Sim.cutFrom = null;
+    Scene.controls.enabled = true;
+    return;
+  }
+  if (!Sim.simulation.grabbed) return;
+
+  Sim.simulation.releaseParticle(event.shiftKey);
+  Scene.controls.enabled = true;
+}
+
+// Handler for impact events generated by the keyboard.
+// When a certain key on the keyboard is pressed, apply a small impulse to the
+// cloth at the location of the mouse cursor.
+//
+// We recommend binding each of the four arrow keys to a different directional
+// impulse, but you are welcome to get creative if you'd like to have more
+// complicated effects, or use different keys.
+// Be sure to document your implementation and keybindings in the writeup.
+//
+// Params:
+// * evt: event - The keypress event that led to this function call.
+//
+//  Note: your browser's event handling framework will automatically
+//       invoke this function with the correct argument, since it is
+//       registered as a handler in Sim.init.
+Sim.handleImpactEvents = function(event) {
+  // Ignore keypresses typed into a text box
+  if (event.target.tagName === "INPUT") { return; }
+
+  // The vectors tom which each key code in this handler maps. (Change these if you like)
+  const keyMap = {
+    ArrowUp: new THREE.Vector3(0,  1,  0),
+    ArrowDown: new THREE.Vector3(0,  -1,  0),
+    ArrowLeft: new THREE.Vector3(-1,  0,  0),
+    ArrowRight: new THREE.Vector3(1,  0,  0),
+};
+
+  // The magnitude of the offset produced by this impact.
+  // this number was chosen to look well in the absence of gravity.
+  // It looks especially cool if you start turning off spring constraints.
+  const scale = 30; // the magnitude of the offset produced by this impact.
+  // (1) Check which key was pressed. If it isn't the triggering key, do nothing.
+  // (2) Shoot a ray into the scene to determine what point is being looked at.
+  //     (You may find the `cloth.getLookedAtParticle()` function useful).
+  // (3) Calculate a position offset based on the directional key pressed.
+  //     Scale the offset proportional to scale.
+  // (4) Update the particle's position based on the offset.
+
+  // Uncomment this line to inspect the fields of event in more detail:
+  // debugger;
+
+  let cloth = Sim.simulation.cloth;
+  var particle = cloth.getLookedAtParticle(Renderer.raycaster, Scene.cloth.mesh);
+  // Pinned particles stay where they are pinned
+  if (!particle || particle.isPinned()) return;
+
+  if (event.keyCode == 37) {
+    particle.position.addVectors(particle.original, keyMap.ArrowLeft.multiplyScalar(scale));
+  }
+  else if (event.keyCode == 38) {
+    particle.position.addVectors(particle.original, keyMap.ArrowUp.multiplyScalar(scale));
+  }
+  else if (event.keyCode == 39) {
+    particle.position.addVectors(particle.original, keyMap.ArrowRight.multiplyScalar(scale));
+  }
+  else if (event.keyCode == 40) {
+    particle.position.addVectors(particle.original, keyMap.ArrowDown.multiplyScalar(scale));
+  }
 }
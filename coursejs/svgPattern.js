@@ -0,0 +1,502 @@
+"use strict";
+
+var SvgPattern = SvgPattern || {};
+
+// SvgPattern reads the panels of a sewing pattern from an SVG file, e.g. a
+// pattern draft exported from a drawing program, to cut the cloth from (see
+// Panel and Scene.loadClothPattern).
+//
+// Every closed shape (a path whose subpaths are closed, a polygon, rect,
+// circle or ellipse) is a panel: its largest loop is the outline, and the
+// loops inside it are holes. Curves are flattened into straight edges that
+// stray at most a tolerance from them, and everything is scaled from SVG
+// user units to scene units.
+//
+// Every open line (an open path, a polyline or a line) that starts and ends
+// on the edges of panels is a seam marker: the part of the edge it runs along
+// is sewn to the part marked by another seam marker, from the start of one
+// marker to the start of the other (see Panel.prototype.sew). Markers are
+// paired up by their ids, "seam-NAME-1" with "seam-NAME-2" say, or else by
+// their stroke colour, in the order they appear in the file. Any other open
+// line, e.g. a grain line, is left out.
+
+// The elements read as shapes, and the elements whose shapes aren't drawn
+const SVG_SHAPES = "path, polygon, polyline, rect, line, circle, ellipse";
+const SVG_HIDDEN = "defs, clipPath, mask, marker, pattern, symbol";
+
+// How far from the edge of a panel the ends of a seam marker can be, as a
+// multiple of the tolerance curves are flattened to
+const SVG_SEAM_SNAP = 4;
+
+// Returns the panels of the pattern in an SVG file, sewn together where it
+// marks seams, or an empty list if the file can't be read.
+// Params:
+// * text: String - the contents of the SVG file
+// * scale: Number - how many scene units one SVG user unit is
+// * tolerance: Number - how far flattened curves can stray from the true
+//      curves, in scene units
+SvgPattern.parse = function(text, scale, tolerance) {
+  let svg = new DOMParser().parseFromString(text, "image/svg+xml");
+  if (svg.querySelector("parsererror")) return [];
+
+  let loops = [];
+  let markers = [];
+  for (let element of svg.querySelectorAll(SVG_SHAPES)) {
+    if (element.closest(SVG_HIDDEN)) continue;
+    let d = SvgPattern.pathData(element);
+    if (!d) continue;
+    let matrix = new THREE.Matrix3().set(scale, 0, 0, 0, scale, 0, 0, 0, 1)
+      .multiply(SvgPattern.transformOf(element));
+    for (let subpath of SvgPattern.parsePath(d)) {
+      let points = SvgPattern.flatten(subpath, matrix, tolerance);
+      if (subpath.closed) {
+        // The last point is the first again
+        if (points.length > 1 && points[0].distanceTo(points[points.length - 1]) <= 1e-9) points.pop();
+        if (points.length >= 3) loops.push(points);
+      } else if (points.length >= 2) {
+        markers.push({ points: points, key: SvgPattern.seamKey(element) });
+      }
+    }
+  }
+
+  // The biggest loops first, so that each loop inside a panel (and not in
+  // one of its holes) is a hole in it, and any other is a new panel
+  loops.sort(function(a, b) {
+    return Math.abs(THREE.ShapeUtils.area(b)) - Math.abs(THREE.ShapeUtils.area(a));
+  });
+  let panels = [];
+  for (let loop of loops) {
+    let panel = panels.find(function(panel) { return panel.contains(loop[0]); });
+    if (panel) {
+      panel.holes.push(loop);
+    } else {
+      panels.push(new Panel(loop));
+    }
+  }
+
+  SvgPattern.sewMarkers(panels, markers, SVG_SEAM_SNAP * tolerance);
+  return panels;
+};
+
+// Returns the path data (like the d attribute of a path) of a shape element,
+// or null if it has none.
+// Params:
+// * element: Element - the path, polygon, polyline, rect, line, circle or
+//      ellipse
+SvgPattern.pathData = function(element) {
+  function number(name) {
+    return parseFloat(element.getAttribute(name)) || 0;
+  }
+  let x = number("x"), y = number("y");
+  let width = number("width"), height = number("height");
+  let cx = number("cx"), cy = number("cy");
+  let rx = number("rx"), ry = number("ry");
+  switch (element.tagName) {
+    case "path":
+      return element.getAttribute("d");
+    case "polygon":
+      return "M" + element.getAttribute("points") + "Z";
+    case "polyline":
+      return "M" + element.getAttribute("points");
+    case "rect":
+      return `M${x},${y} H${x + width} V${y + height} H${x} Z`;
+    case "line":
+      return `M${number("x1")},${number("y1")} L${number("x2")},${number("y2")}`;
+    case "circle":
+      rx = ry = number("r");
+      // fall through
+    case "ellipse":
+      return `M${cx + rx},${cy} A${rx},${ry} 0 1 1 ${cx - rx},${cy} A${rx},${ry} 0 1 1 ${cx + rx},${cy} Z`;
+  }
+  return null;
+};
+
+// Returns the transform from an element's coordinates to the user units of
+// the file, composed of its own transform attribute and its ancestors'.
+// Params:
+// * element: Element - the element
+SvgPattern.transformOf = function(element) {
+  let matrix = new THREE.Matrix3();
+  for (let e = element; e && e.getAttribute; e = e.parentNode) {
+    let transform = e.getAttribute("transform");
+    if (transform) matrix.premultiply(SvgPattern.parseTransform(transform));
+  }
+  return matrix;
+};
+
+// Returns the 2D transform (THREE.Matrix3) of an SVG transform attribute,
+// e.g. "translate(10, 20) rotate(45)".
+// Params:
+// * transform: String - the transform attribute
+SvgPattern.parseTransform = function(transform) {
+  let matrix = new THREE.Matrix3();
+  let pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(transform)) !== null) {
+    let v = match[2].trim().split(/[\s,]+/).map(parseFloat);
+    let m = new THREE.Matrix3();
+    if (match[1] === "matrix") {
+      m.set(v[0], v[2], v[4], v[1], v[3], v[5], 0, 0, 1);
+    } else if (match[1] === "translate") {
+      m.set(1, 0, v[0], 0, 1, v[1] || 0, 0, 0, 1);
+    } else if (match[1] === "scale") {
+      m.set(v[0], 0, 0, 0, v.length > 1 ? v[1] : v[0], 0, 0, 0, 1);
+    } else if (match[1] === "rotate") {
+      // About the point (v[1], v[2]), if given
+      let angle = THREE.Math.degToRad(v[0]);
+      let cos = Math.cos(angle), sin = Math.sin(angle);
+      let x = v[1] || 0, y = v[2] || 0;
+      m.set(cos, -sin, x - cos * x + sin * y, sin, cos, y - sin * x - cos * y, 0, 0, 1);
+    } else if (match[1] === "skewX") {
+      m.set(1, Math.tan(THREE.Math.degToRad(v[0])), 0, 0, 1, 0, 0, 0, 1);
+    } else {
+      m.set(1, 0, 0, Math.tan(THREE.Math.degToRad(v[0])), 1, 0, 0, 0, 1);
+    }
+    matrix.multiply(m);
+  }
+  return matrix;
+};
+
+// Returns the subpaths of SVG path data, each an object with the following
+// properties:
+//   start: (THREE.Vector2) where it starts
+//   curves: (THREE.Vector2[][]) the cubic Bézier curves it is made of, one
+//      after the other, each as its two control points and its end. Lines
+//      are curves with their control points at their ends, and quadratic
+//      curves and elliptical arcs are turned into cubic ones.
+//   closed: (boolean) whether it ends by closing the path
+// Like a browser, this draws the path up to the first error in it.
+// Params:
+// * d: String - the path data
+SvgPattern.parsePath = function(d) {
+  const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+  let i = 0;
+  // Skip whitespace and commas
+  function skip() {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  }
+  function number() {
+    skip();
+    NUMBER.lastIndex = i;
+    let match = NUMBER.exec(d);
+    if (match === null) throw new Error("Expected a number at " + i);
+    i += match[0].length;
+    return parseFloat(match[0]);
+  }
+  // The large arc and sweep flags of arcs can be written without spaces
+  function flag() {
+    skip();
+    let c = d[i++];
+    if (c !== "0" && c !== "1") throw new Error("Expected a flag at " + (i - 1));
+    return c === "1";
+  }
+
+  let subpaths = [];
+  let subpath = null;
+  let current = new THREE.Vector2();
+  let control = null; // the last control point, which S and T reflect
+  function point(relative) {
+    let x = number();
+    let y = number();
+    return relative ? new THREE.Vector2(current.x + x, current.y + y) : new THREE.Vector2(x, y);
+  }
+  function moveTo(to) {
+    subpath = { start: to.clone(), curves: [], closed: false };
+    subpaths.push(subpath);
+    current = to.clone();
+  }
+  function curveTo(control1, control2, to) {
+    // Drawing on after closing a path starts a new subpath where it closed
+    if (subpath === null) moveTo(current);
+    subpath.curves.push([control1, control2, to]);
+    current = to.clone();
+  }
+  function lineTo(to) {
+    curveTo(current.clone(), to.clone(), to);
+  }
+  // Add an elliptical arc from the current point, by the endpoint to center
+  // conversion of the SVG specification, as cubic curves of at most a
+  // quarter turn each
+  function arcTo(rx, ry, angle, largeArc, sweep, to) {
+    let from = current.clone();
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (from.equals(to)) return;
+    if (rx === 0 || ry === 0) {
+      lineTo(to);
+      return;
+    }
+    let phi = THREE.Math.degToRad(angle);
+    let cos = Math.cos(phi), sin = Math.sin(phi);
+    // Halfway between the ends, in the axes of the ellipse
+    let dx = (from.x - to.x) / 2, dy = (from.y - to.y) / 2;
+    let x1 = cos * dx + sin * dy;
+    let y1 = -sin * dx + cos * dy;
+    // Radii too small to reach from one end to the other are scaled up
+    let lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    let numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    let denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let root = Math.sqrt(Math.max(0, numerator / denominator)) * (largeArc === sweep ? -1 : 1);
+    let cx1 = root * rx * y1 / ry;
+    let cy1 = -root * ry * x1 / rx;
+    let cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+    let cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+    let theta = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - theta;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+
+    // The point of the ellipse at angle t, and its tangent there
+    function ellipse(t) {
+      let x = rx * Math.cos(t), y = ry * Math.sin(t);
+      return new THREE.Vector2(cx + cos * x - sin * y, cy + sin * x + cos * y);
+    }
+    function tangent(t) {
+      let x = -rx * Math.sin(t), y = ry * Math.cos(t);
+      return new THREE.Vector2(cos * x - sin * y, sin * x + cos * y);
+    }
+    let pieces = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    let step = delta / pieces;
+    let k = 4 / 3 * Math.tan(step / 4);
+    for (let p = 0; p < pieces; p++) {
+      let t1 = theta + p * step;
+      let t2 = t1 + step;
+      let end = p == pieces - 1 ? to.clone() : ellipse(t2);
+      curveTo(ellipse(t1).addScaledVector(tangent(t1), k), end.clone().addScaledVector(tangent(t2), -k), end);
+    }
+  }
+
+  let command = null;
+  let previous = null;
+  try {
+    for (skip(); i < d.length; skip()) {
+      if (/[a-zA-Z]/.test(d[i])) {
+        command = d[i++];
+      } else if (command === null || command === "Z" || command === "z") {
+        // Numbers must follow a command that takes them
+        break;
+      }
+      let relative = command === command.toLowerCase();
+      let type = command.toUpperCase();
+      let next = null;
+      if (type === "M") {
+        moveTo(point(relative));
+        // Any more points are lines from it
+        command = relative ? "l" : "L";
+      } else if (type === "Z") {
+        if (subpath !== null) {
+          if (!current.equals(subpath.start)) lineTo(subpath.start.clone());
+          subpath.closed = true;
+          current = subpath.start.clone();
+          subpath = null;
+        }
+      } else if (type === "L") {
+        lineTo(point(relative));
+      } else if (type === "H") {
+        let x = number();
+        lineTo(new THREE.Vector2(relative ? current.x + x : x, current.y));
+      } else if (type === "V") {
+        let y = number();
+        lineTo(new THREE.Vector2(current.x, relative ? current.y + y : y));
+      } else if (type === "C" || type === "S") {
+        let control1 = type === "C" ? point(relative) :
+          previous === "C" || previous === "S" ? current.clone().multiplyScalar(2).sub(control) : current.clone();
+        let control2 = point(relative);
+        curveTo(control1, control2, point(relative));
+        next = control2;
+      } else if (type === "Q" || type === "T") {
+        let quadratic = type === "Q" ? point(relative) :
+          previous === "Q" || previous === "T" ? current.clone().multiplyScalar(2).sub(control) : current.clone();
+        let to = point(relative);
+        // The cubic curve the quadratic one is
+        curveTo(current.clone().lerp(quadratic, 2 / 3), to.clone().lerp(quadratic, 2 / 3), to);
+        next = quadratic;
+      } else if (type === "A") {
+        let rx = number(), ry = number(), angle = number();
+        let largeArc = flag(), sweep = flag();
+        arcTo(rx, ry, angle, largeArc, sweep, point(relative));
+      } else {
+        break;
+      }
+      control = next;
+      previous = type;
+    }
+  } catch (error) {
+    // Keep what was drawn before the error
+  }
+  return subpaths;
+};
+
+// Returns the points of a subpath (see SvgPattern.parsePath) transformed by
+// the given matrix, with each curve divided in half until its control points
+// are within tolerance of the line between its ends.
+// Params:
+// * subpath: Object - the subpath
+// * matrix: THREE.Matrix3 - the transform to apply to it
+// * tolerance: Number - how far the points can stray from the curves,
+//      after the transform
+SvgPattern.flatten = function(subpath, matrix, tolerance) {
+  let points = [subpath.start.clone().applyMatrix3(matrix)];
+  function divide(p0, p1, p2, p3, depth) {
+    if (depth >= 16 || (distanceToSegment(p1, p0, p3) <= tolerance &&
+        distanceToSegment(p2, p0, p3) <= tolerance)) {
+      points.push(p3);
+      return;
+    }
+    // de Casteljau's algorithm
+    let p01 = p0.clone().lerp(p1, 0.5), p12 = p1.clone().lerp(p2, 0.5), p23 = p2.clone().lerp(p3, 0.5);
+    let p012 = p01.clone().lerp(p12, 0.5), p123 = p12.clone().lerp(p23, 0.5);
+    let middle = p012.clone().lerp(p123, 0.5);
+    divide(p0, p01, p012, middle, depth + 1);
+    divide(middle, p123, p23, p3, depth + 1);
+  }
+  for (let [control1, control2, end] of subpath.curves) {
+    let from = points[points.length - 1];
+    let to = end.clone().applyMatrix3(matrix);
+    divide(from, control1.clone().applyMatrix3(matrix), control2.clone().applyMatrix3(matrix), to, 0);
+  }
+  // Leave out points on top of the one before, e.g. from a curve of no length
+  return points.filter(function(point, k) {
+    return k == 0 || point.distanceTo(points[k - 1]) > 1e-9;
+  });
+};
+
+// Returns the distance from a point to the segment from a to b.
+function distanceToSegment(point, a, b) {
+  let ab = new THREE.Vector2().subVectors(b, a);
+  let ap = new THREE.Vector2().subVectors(point, a);
+  let t = ab.lengthSq() > 0 ? THREE.Math.clamp(ap.dot(ab) / ab.lengthSq(), 0, 1) : 0;
+  return ap.addScaledVector(ab, -t).length();
+}
+
+// Returns what a seam marker is paired up by: the NAME of an id like
+// "seam-NAME-1", or else its stroke colour, or null if it has neither.
+// Params:
+// * element: Element - the seam marker
+SvgPattern.seamKey = function(element) {
+  let id = /^seam[-_](.+)[-_][^-_]*$/i.exec(element.getAttribute("id") || "");
+  if (id) return "id " + id[1];
+
+  // The stroke is inherited from the element's ancestors, and can be set by
+  // its style as well as its stroke attribute
+  for (let e = element; e && e.getAttribute; e = e.parentNode) {
+    let style = /(?:^|;)\s*stroke\s*:\s*([^;]+)/.exec(e.getAttribute("style") || "");
+    let stroke = (style ? style[1] : e.getAttribute("stroke") || "").trim();
+    if (stroke === "" || stroke === "inherit") continue;
+    if (stroke === "none") return null;
+    return "stroke " + new THREE.Color().setStyle(stroke).getHexString();
+  }
+  return null;
+};
+
+// Sew the panels together along the edges their seam markers run along.
+// The ends of each marker become corners of the panel it lies on, and the
+// edges between them on the same side as the middle of the marker are sewn
+// to those of the next marker with the same key (see SvgPattern.seamKey).
+// Params:
+// * panels: Panel[] - the panels
+// * markers: Object[] - the seam markers, each with properties `points`
+//      (THREE.Vector2[]), the marker flattened like the panels, and `key`
+// * snap: Number - how far from the edge of a panel the ends of a marker can be
+SvgPattern.sewMarkers = function(panels, markers, snap) {
+  // The edge of the panels nearest to a point, optionally only on one loop
+  function nearestEdge(point, only) {
+    let nearest = null;
+    for (let panel of panels) {
+      for (let loop of panel.loops()) {
+        if (only && loop !== only) continue;
+        for (let k = 0; k < loop.length; k++) {
+          let distance = distanceToSegment(point, loop[k], loop[(k + 1) % loop.length]);
+          if (!nearest || distance < nearest.distance) {
+            nearest = { panel: panel, loop: loop, index: k, distance: distance };
+          }
+        }
+      }
+    }
+    return nearest && nearest.distance <= snap ? nearest : null;
+  }
+  // The corner of the loop where the point is on the given edge, added to
+  // the loop unless there is one already
+  function cornerAt(edge, point) {
+    let loop = edge.loop;
+    let a = loop[edge.index];
+    let b = loop[(edge.index + 1) % loop.length];
+    let ab = new THREE.Vector2().subVectors(b, a);
+    let t = THREE.Math.clamp(new THREE.Vector2().subVectors(point, a).dot(ab) / ab.lengthSq(), 0, 1);
+    let corner = a.clone().addScaledVector(ab, t);
+    if (corner.distanceTo(a) <= snap / SVG_SEAM_SNAP) return a;
+    if (corner.distanceTo(b) <= snap / SVG_SEAM_SNAP) return b;
+    loop.splice(edge.index + 1, 0, corner);
+    return corner;
+  }
+
+  // Add the corners at the ends of every marker first, since they renumber
+  // the edges after them
+  let sides = [];
+  for (let marker of markers) {
+    if (marker.key === null) continue;
+    let first = marker.points[0];
+    let last = marker.points[marker.points.length - 1];
+    let startEdge = nearestEdge(first);
+    let endEdge = startEdge && nearestEdge(last, startEdge.loop);
+    if (!endEdge) continue;
+    let start = cornerAt(startEdge, first);
+    let end = cornerAt(nearestEdge(last, startEdge.loop), last);
+    if (start !== end) {
+      sides.push({ marker: marker, panel: startEdge.panel, loop: startEdge.loop, start: start, end: end });
+    }
+  }
+
+  // The point halfway along a polyline
+  function middleOf(points) {
+    let length = 0;
+    for (let k = 1; k < points.length; k++) length += points[k].distanceTo(points[k - 1]);
+    for (let k = 1; k < points.length; k++) {
+      let piece = points[k].distanceTo(points[k - 1]);
+      if (piece >= length / 2) return points[k - 1].clone().lerp(points[k], piece > 0 ? length / 2 / piece : 0);
+      length -= 2 * piece;
+    }
+    return points[0].clone();
+  }
+  // The edges of the loop from corner `from` to corner `to`, in order, and
+  // how far the point is from them
+  function run(loop, from, to, point) {
+    let edges = [];
+    let distance = Infinity;
+    for (let k = from; k !== to; k = (k + 1) % loop.length) {
+      edges.push(k);
+      distance = Math.min(distance, distanceToSegment(point, loop[k], loop[(k + 1) % loop.length]));
+    }
+    return { edges: edges, distance: distance };
+  }
+
+  // Pair up the markers with the same key, in order
+  let waiting = new Map();
+  for (let side of sides) {
+    let loop = side.loop;
+    let start = loop.indexOf(side.start);
+    let end = loop.indexOf(side.end);
+    let middle = middleOf(side.marker.points);
+    let forward = run(loop, start, end, middle);
+    let backward = run(loop, end, start, middle);
+    side.forward = forward.distance <= backward.distance;
+    // The edges of the holes are numbered on from the outline's
+    let loops = side.panel.loops();
+    let offset = 0;
+    for (let k = 0; loops[k] !== loop; k++) offset += loops[k].length;
+    side.edges = (side.forward ? forward : backward).edges.map(function(k) { return k + offset; });
+
+    let key = side.marker.key;
+    let other = waiting.get(key);
+    if (other) {
+      other.panel.sew(other.edges, side.panel, side.edges, other.forward === side.forward);
+      waiting.delete(key);
+    } else {
+      waiting.set(key, side);
+    }
+  }
+};
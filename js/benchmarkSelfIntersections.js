@@ -0,0 +1,70 @@
+"use strict";
+
+// Compares the spatial hash implementation of
+// Cloth.prototype.handleSelfIntersections against the brute force reference
+// implementation, for cloths of increasing resolution.
+//
+// For each method, this prints the average time spent handling self
+// intersections per step, the average time of a whole simulation step, and
+// the frame rate that step time would allow.
+//
+// Usage:
+//   node js/benchmarkSelfIntersections.js [segments per side...]
+
+const { Params, Simulation } = require("./headless.js");
+
+const methods = ["BruteForce", "SpatialHash"];
+const warmupSteps = 20;
+const timedSteps = 20;
+
+let sizes = process.argv.slice(2).map(Number);
+if (sizes.length == 0) sizes = [25, 50, 75];
+
+function benchmark(segments, method) {
+  let params = new Params();
+  params.restDistance = params.fabricWidth / segments;
+  params.update();
+  params.avoidClothSelfIntersection = true;
+  params.selfIntersectionThickness = params.restDistance / 2;
+  params.selfIntersectionMethod = method;
+
+  let simulation = new Simulation(params);
+  let cloth = simulation.cloth;
+
+  // Time the self intersection handling on its own too
+  let selfTime = 0;
+  let handleSelfIntersections = cloth.handleSelfIntersections;
+  cloth.handleSelfIntersections = function() {
+    let start = process.hrtime.bigint();
+    handleSelfIntersections.call(this);
+    selfTime += Number(process.hrtime.bigint() - start) / 1e6;
+  };
+
+  // Let the cloth start draping before timing anything
+  for (let i = 0; i < warmupSteps; i++) simulation.advance(params.TIMESTEP * 1000);
+  selfTime = 0;
+
+  let start = process.hrtime.bigint();
+  for (let i = 0; i < timedSteps; i++) simulation.advance(params.TIMESTEP * 1000);
+  let stepTime = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return {
+    particles: cloth.particles.length,
+    selfMs: selfTime / timedSteps,
+    stepMs: stepTime / timedSteps,
+  };
+}
+
+console.log("particles  method       self ms/step  total ms/step    fps");
+for (let segments of sizes) {
+  for (let method of methods) {
+    let result = benchmark(segments, method);
+    console.log(
+      String(result.particles).padStart(9) + "  " +
+      method.padEnd(11) +
+      result.selfMs.toFixed(2).padStart(14) +
+      result.stepMs.toFixed(2).padStart(15) +
+      (1000 / result.stepMs).toFixed(1).padStart(7)
+    );
+  }
+}
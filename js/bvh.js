@@ -0,0 +1,166 @@
+"use strict";
+
+/*********************** BOUNDING VOLUME HIERARCHY ***********************/
+// BVH constructor
+// Parameters:
+//   geometry: (THREE.Geometry or THREE.BufferGeometry) a triangle mesh, with
+//      its vertices already where the mesh is in the scene
+//
+// A bounding volume hierarchy is a binary tree of boxes around the triangles
+// of a mesh, which finds the triangles near a point or a segment without
+// checking every triangle. It has the following properties:
+//   this.triangles: (THREE.Triangle[]) the triangles of the mesh
+//   this.root: the root node of the tree. Every node has a `box` (THREE.Box3)
+//      around its triangles, and either two child nodes `left` and `right`,
+//      or, for a leaf, `triangles`: (int[]) indices into this.triangles
+function BVH(geometry) {
+  if (geometry.isBufferGeometry) {
+    geometry = new THREE.Geometry().fromBufferGeometry(geometry);
+  }
+  let vertices = geometry.vertices;
+  this.triangles = geometry.faces.map(function(face) {
+    return new THREE.Triangle(
+      vertices[face.a].clone(),
+      vertices[face.b].clone(),
+      vertices[face.c].clone()
+    );
+  });
+
+  let centroids = this.triangles.map(function(triangle) {
+    return triangle.getMidpoint(new THREE.Vector3());
+  });
+  let indices = this.triangles.map(function(triangle, i) {
+    return i;
+  });
+  this.root = this.buildNode(indices, centroids);
+}
+
+// Leaves of the tree hold at most this many triangles.
+const BVH_LEAF_SIZE = 4;
+
+// Triangles whose distances to a point differ by less than this are equally
+// close to it.
+const BVH_TIE_TOLERANCE = 1e-6;
+
+// Scratch space for the queries, to avoid allocating for every particle.
+const bvhScratch = {
+  point: new THREE.Vector3(),
+  offset: new THREE.Vector3(),
+  normal: new THREE.Vector3(),
+  segmentBox: new THREE.Box3(),
+  ray: new THREE.Ray(),
+};
+
+// Return a node of the tree over the triangles with the given indices, by
+// splitting them in half at the median of their centroids along the longest
+// axis of their box.
+BVH.prototype.buildNode = function(indices, centroids) {
+  let box = new THREE.Box3();
+  for (let i of indices) {
+    let triangle = this.triangles[i];
+    box.expandByPoint(triangle.a);
+    box.expandByPoint(triangle.b);
+    box.expandByPoint(triangle.c);
+  }
+  if (indices.length <= BVH_LEAF_SIZE) {
+    return { box: box, triangles: indices };
+  }
+
+  let size = box.getSize(new THREE.Vector3());
+  let axis = "z";
+  if (size.x >= size.y && size.x >= size.z) axis = "x";
+  else if (size.y >= size.z) axis = "y";
+
+  indices.sort(function(i, j) {
+    return centroids[i][axis] - centroids[j][axis];
+  });
+  let middle = indices.length >> 1;
+  return {
+    box: box,
+    left: this.buildNode(indices.slice(0, middle), centroids),
+    right: this.buildNode(indices.slice(middle), centroids),
+  };
+};
+
+// Return the triangle of the mesh closest to the given point, if it is closer
+// than maxDistance, or return null otherwise.
+// Of triangles equally close to the point (i.e. sharing the closest edge or
+// vertex), one that the point is in front of is preferred, so that a point
+// just outside a convex edge isn't taken to be behind the mesh's surface.
+// Params:
+// * point: THREE.Vector3 - the point to search around
+// * maxDistance: Number - how far from the point to search
+// * target: THREE.Vector3 - where to store the closest point of the triangle
+BVH.prototype.closestPoint = function(point, maxDistance, target) {
+  let closest = null;
+  let closestFacing = false;
+  let best = maxDistance;
+  let stack = [this.root];
+  while (stack.length > 0) {
+    let node = stack.pop();
+    if (node.box.distanceToPoint(point) >= best + BVH_TIE_TOLERANCE) continue;
+
+    if (node.triangles === undefined) {
+      stack.push(node.left, node.right);
+      continue;
+    }
+    for (let i of node.triangles) {
+      let triangle = this.triangles[i];
+      let candidate = triangle.closestPointToPoint(point, bvhScratch.point);
+      let distance = candidate.distanceTo(point);
+      if (distance >= best + BVH_TIE_TOLERANCE) continue;
+
+      let offset = bvhScratch.offset.subVectors(point, candidate);
+      let facing = offset.dot(triangle.getNormal(bvhScratch.normal)) > 0;
+      if (distance < best - BVH_TIE_TOLERANCE || (facing && !closestFacing)) {
+        best = Math.min(best, distance);
+        closest = triangle;
+        closestFacing = facing;
+        target.copy(candidate);
+      }
+    }
+  }
+  return closest;
+};
+
+// Return the first triangle of the mesh that the segment from start to end
+// passes through, or return null if it doesn't pass through any.
+// Params:
+// * start, end: THREE.Vector3 - the ends of the segment
+// * target: THREE.Vector3 - where to store the point the segment hits
+BVH.prototype.intersectSegment = function(start, end, target) {
+  let length = start.distanceTo(end);
+  if (length === 0) return null;
+
+  let ray = bvhScratch.ray;
+  ray.origin.copy(start);
+  ray.direction.subVectors(end, start).divideScalar(length);
+  let segmentBox = bvhScratch.segmentBox.makeEmpty();
+  segmentBox.expandByPoint(start);
+  segmentBox.expandByPoint(end);
+
+  let first = null;
+  let best = length;
+  let stack = [this.root];
+  while (stack.length > 0) {
+    let node = stack.pop();
+    if (!node.box.intersectsBox(segmentBox)) continue;
+
+    if (node.triangles === undefined) {
+      stack.push(node.left, node.right);
+      continue;
+    }
+    for (let i of node.triangles) {
+      let triangle = this.triangles[i];
+      let hit = ray.intersectTriangle(triangle.a, triangle.b, triangle.c, false, bvhScratch.point);
+      if (hit === null) continue;
+      let distance = hit.distanceTo(start);
+      if (distance <= best) {
+        best = distance;
+        first = triangle;
+        target.copy(hit);
+      }
+    }
+  }
+  return first;
+};
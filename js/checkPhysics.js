@@ -0,0 +1,125 @@
+"use strict";
+
+// Checks the behaviour of the physics from Node, e.g. on a CI machine: that a
+// seeded run is deterministic, also when replayed after stepping back, that
+// stepping back undoes a change to the colliders, that no integrator blows up
+// on any shape of cloth, that panels are triangulated into exactly their
+// area, and that welding the seams of the garments merges each pair of sewn
+// particles into one.
+//
+// Prints one line per check, and exits with status 1 if any check fails.
+//
+// Usage:
+//   node js/checkPhysics.js
+
+const { THREE, Params, Panel, Integrators, Simulation } = require("./headless.js");
+
+let failures = 0;
+
+function check(name, passed, detail) {
+  console.log((passed ? "ok    " : "FAIL  ") + name + (detail ? " (" + detail + ")" : ""));
+  if (!passed) failures++;
+}
+
+// Returns a new simulation with the given parameters changed from the
+// defaults, run for the given number of steps.
+function simulate(changes, steps) {
+  let params = new Params();
+  Object.assign(params, changes);
+  params.update();
+  let simulation = new Simulation(params);
+  for (let i = 0; i < steps; i++) simulation.advance(params.TIMESTEP * 1000);
+  return simulation;
+}
+
+// Returns the positions of the particles and the droplets of rain of a
+// simulation, to compare.
+function positionsOf(simulation) {
+  let positions = [];
+  for (let particle of simulation.cloth.particles) {
+    positions.push(particle.position.x, particle.position.y, particle.position.z);
+  }
+  return positions.concat(Array.from(simulation.rain.positions.slice(0, 3 * simulation.rain.count)));
+}
+
+function same(a, b) {
+  return a.length == b.length && a.every(function(x, i) { return x === b[i]; });
+}
+
+// Returns the area of a triangle, or of a polygon, in the pattern.
+function area(points) {
+  return Math.abs(THREE.ShapeUtils.area(points));
+}
+
+// The same seed gives the same run, with random pins, rain, turbulent wind
+// and tearing all drawing on it
+let seeded = { seed: 7, pinned: "Random", rain: true, turbulentWind: true, tearable: true };
+let first = positionsOf(simulate(seeded, 60));
+check("seeded run is deterministic", same(first, positionsOf(simulate(seeded, 60))));
+
+// Stepping back and simulating those steps again (rather than stepping
+// forward through the history) replays them exactly
+let simulation = simulate(seeded, 60);
+for (let i = 0; i < 10; i++) simulation.stepBack();
+for (let i = 0; i < 10; i++) simulation.advance(simulation.params.TIMESTEP * 1000);
+check("replay after stepping back is deterministic", same(first, positionsOf(simulation)));
+
+// Stepping back past a change to the colliders undoes it
+let colliders = simulation.colliders.list.slice();
+simulation.colliders.addSphere(new THREE.Vector3(0, 0, 0), 50);
+simulation.advance(simulation.params.TIMESTEP * 1000);
+simulation.stepBack();
+check("stepping back restores the colliders", same(colliders, simulation.colliders.list));
+
+// Every integrator keeps every shape finite, also at the longest TIMESTEP
+// the GUI allows
+let shapes = ["Rectangle"].concat(Object.keys(Panel.shapes));
+for (let integrator of Object.keys(Integrators)) {
+  for (let shape of shapes) {
+    let positions = positionsOf(simulate({ integrator: integrator, clothShape: shape }, 60));
+    check("no NaN with " + integrator + " on " + shape, positions.every(Number.isFinite));
+  }
+  let positions = positionsOf(simulate({ integrator: integrator, TIMESTEP: 0.2 }, 60));
+  check("no NaN with " + integrator + " at a 200 ms TIMESTEP", positions.every(Number.isFinite));
+}
+
+// The triangles of each panel cover exactly the panel
+let params = new Params();
+params.update();
+for (let shape of Object.keys(Panel.shapes)) {
+  for (let panel of Panel.shapes[shape](params)) {
+    let mesh = panel.triangulate(params.restDistance);
+    let covered = 0;
+    for (let triangle of mesh.triangles) {
+      covered += area(triangle.map(function(i) { return mesh.points[i]; }));
+    }
+    let expected = area(panel.outline);
+    for (let hole of panel.holes) expected -= area(hole);
+    check("triangulation of " + shape + " matches its area",
+      Math.abs(covered - expected) <= 1e-6 * expected, covered.toFixed(3) + " of " + expected.toFixed(3));
+  }
+}
+
+// Welding leaves one particle per sewn pair, and no seams
+for (let shape of ["Tube", "Skirt"]) {
+  let simulation = simulate({ clothShape: shape, pinned: "None" }, 0);
+  let particles = simulation.cloth.particles.length;
+  let seams = simulation.cloth.constraints.filter(function(c) { return c.type == "seam"; }).length;
+  for (let i = 0; i <= simulation.params.sewingSteps; i++) {
+    simulation.advance(simulation.params.TIMESTEP * 1000);
+  }
+  let cloth = simulation.cloth;
+  let welded = cloth.particles.length;
+  let valid = cloth.faces.every(function(face) {
+    return [face.a, face.b, face.c].every(function(i) { return i < welded; });
+  });
+  check("welding " + shape + " merges its " + seams + " seam pairs",
+    seams > 0 && welded == particles - seams && valid &&
+    !cloth.constraints.some(function(c) { return c.type == "seam"; }),
+    particles + " to " + welded + " particles");
+}
+
+if (failures > 0) {
+  console.log(failures + " checks failed");
+  process.exitCode = 1;
+}
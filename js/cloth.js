@@ -5,18 +5,22 @@
 // are defined for you in `params.js`.
 //
 // As you change values in the GUI (such as the size of the cloth),
-// these changes are automatically populated into the global SceneParams object.
+// these changes are automatically populated into the global SceneParams object,
+// which is the Params object the cloth is built with in the browser.
 //
-// You should treat the SceneParams object as read-only, as mutating its values
+// Code in this file never reads SceneParams, the Scene or the Renderer
+// directly: it only uses the params object stored on the cloth, so that the
+// simulation can also run headless (see `simulation.js` and `headless.js`).
+// You should treat this object as read-only, as mutating its values
 // without going through the GUI will have undesirable effects.
 //
 // We recommend you briefly inspect `params.js` to get a feel for what sorts
 // of values are available to you, and what their defaults are.
 //
 // For example, to use these values in your code you might write:
-//      let MASS = SceneParams.MASS;
-//      let friction = SceneParams.friction;
-//      let fabricLength = SceneParams.fabricLength;
+//      let MASS = this.params.MASS;
+//      let friction = this.params.friction;
+//      let fabricWidth = this.params.fabricWidth;
 //  ... and so on.
 
 /****************************** HELPER FUNCTIONS ******************************/
@@ -28,33 +32,156 @@
 function plane(width, height) {
   return function(u, v, vec) {
     let x = u * width - width / 2;
-    let y = 125;
+    let y = 0;
     let z = v * height - height / 2;
     vec.set(x, y, z);
   };
 }
 
-// A higher order function f(u,v,vec) that sets the components of a Vector3 vec
-// using the u,v coordinates in a plane.
-let initParameterizedPosition = plane(500,500);
+// The rotation of the cloth for each of its orientations but "Custom", as
+// Euler angles about the x, y and z axes in degrees. A horizontal cloth lies
+// in the xz plane; a vertical one hangs in the xy plane, with the edge at
+// v = 0 on top.
+const CLOTH_ORIENTATIONS = {
+  Horizontal: [0, 0, 0],
+  Vertical: [90, 0, 0],
+};
+
+// Returns a higher order function f(u,v,vec) that sets the components of a
+// Vector3 vec using the u,v coordinates of a cloth built with the given
+// params: fabricWidth by fabricHeight (or width by height), sagging by
+// clothDrape in the middle, turned to clothOrientation (or by
+// clothRotationX/Y/Z if it is "Custom") and centred on clothPositionX/Y/Z.
+// Params:
+// * params: Params - the parameters the cloth is built with
+// * width, height: Number - optionally, the size of the cloth, e.g. of the
+//      panels it is cut from
+// * placement: THREE.Matrix4 - optionally, a transform of the flat cloth to
+//      apply before it sags, e.g. to start a panel of a garment in place
+//      (see Panel)
+function clothParameterization(params, width, height, placement) {
+  if (width === undefined) width = params.fabricWidth;
+  if (height === undefined) height = params.fabricHeight;
+  let flat = plane(width, height);
+  let angles = CLOTH_ORIENTATIONS[params.clothOrientation] ||
+    [params.clothRotationX, params.clothRotationY, params.clothRotationZ];
+  let rotation = new THREE.Euler(
+    THREE.Math.degToRad(angles[0]),
+    THREE.Math.degToRad(angles[1]),
+    THREE.Math.degToRad(angles[2])
+  );
+  let transform = new THREE.Matrix4().makeRotationFromEuler(rotation)
+    .setPosition(new THREE.Vector3(params.clothPositionX, params.clothPositionY, params.clothPositionZ));
+  const drape = params.clothDrape;
+  return function(u, v, vec) {
+    flat(u, v, vec);
+    if (placement) vec.applyMatrix4(placement);
+    // Sag out of the plane, most in the middle and not at all at the edges
+    vec.y -= drape * Math.sin(Math.PI * u) * Math.sin(Math.PI * v);
+    vec.applyMatrix4(transform);
+  };
+}
+
+// Used to bin points into a uniform grid of cubic cells in a Map.
+// Returns an integer key for the cell with integer coordinates (x, y, z).
+// The coordinates are wrapped into 10 bits each, so cells 1024 apart share a
+// key; the rare points that end up binned together this way are far apart and
+// must simply be rejected by a distance check.
+function spatialHashKey(x, y, z) {
+  return ((x & 1023) << 20) | ((y & 1023) << 10) | (z & 1023);
+}
+
+// Returns whether the 2D segments from a to b and from c to d cross.
+// Params:
+// * a, b, c, d: THREE.Vector2 - the ends of the segments
+function segmentsCross(a, b, c, d) {
+  // Which side of the line through p and q the point r is on
+  function side(p, q, r) {
+    return Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+  }
+  return side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0;
+}
 
 /***************************** CONSTRAINT *****************************/
-function Constraint(p1, p2, distance) {
+// Constraint constructor
+// Parameters:
+//   p1, p2: (Particle) the two particles to keep at a distance
+//   distance: (Number) the desired distance between them
+//   type: (String) which kind of spring this is: "structural", "shear",
+//      "bending", or "seam" for a thread pulling two panels together (see
+//      Cloth.prototype.sew)
+//   stiffness: (Number) in [0, 1], how much of the error is corrected each time
+//      the constraint is enforced. 0 = no spring at all, 1 = infinitely stiff.
+//
+// The XPBD solver uses this.compliance (the inverse of stiffness, set by
+// Cloth.prototype.updateStiffnesses) instead of this.stiffness, and
+// accumulates the constraint's Lagrange multiplier in this.lambda.
+// Integrators that treat the constraints as springs use this.springConstant
+// (also set by Cloth.prototype.updateStiffnesses).
+function Constraint(p1, p2, distance, type, stiffness) {
   this.p1 = p1; // Particle 1
   this.p2 = p2; // Particle 2
   this.distance = distance; // Desired distance
+  this.type = type; // Spring type
+  this.stiffness = stiffness; // Fraction of the error to correct
+  this.compliance = 0; // XPBD compliance; 0 = infinitely stiff
+  this.lambda = 0; // XPBD Lagrange multiplier
+  this.springConstant = 0; // Hooke's law constant of the spring
 }
 
 Constraint.prototype.enforce = function() {
   // Enforce this constraint by applying a correction to the two particles'
   // positions based on their current distance relative to their desired rest
   // distance.
+  // The correction is split in proportion to the particles' inverse masses,
+  // so a heavier particle moves less, and a pinned one not at all.
+  let w1 = this.p1.invMass;
+  let w2 = this.p2.invMass;
+  if (w1 + w2 === 0) return;
   let AB = new THREE.Vector3(0,0,0)
   AB.subVectors(this.p2.position, this.p1.position);
   let dist = AB.length()
-  let v_corr = AB.normalize().multiplyScalar((dist - this.distance)/2);
-  this.p1.position.add(v_corr);
-  this.p2.position.sub(v_corr);
+  let v_corr = AB.normalize().multiplyScalar(this.stiffness * (dist - this.distance)/(w1 + w2));
+  this.p1.position.addScaledVector(v_corr, w1);
+  this.p2.position.addScaledVector(v_corr, -w2);
+};
+
+// Enforce this constraint with one Extended Position Based Dynamics update
+// (Macklin et al., "XPBD: Position-Based Simulation of Compliant Constrained
+// Dynamics"): the correction depends on the compliance, the substep and the
+// particles' masses, and is accumulated into this.lambda so that repeated
+// iterations converge on the same stiffness.
+// Params:
+// * deltaT: Number - the length of the substep being solved, in seconds
+Constraint.prototype.enforceXPBD = function(deltaT) {
+  if (this.compliance === Infinity) return;
+
+  let a = this.p1.position;
+  let b = this.p2.position;
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  let dz = b.z - a.z;
+  let dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  // Coincident particles have no direction to be corrected in.
+  if (dist === 0) return;
+
+  let w1 = this.p1.invMass;
+  let w2 = this.p2.invMass;
+  let alpha = this.compliance / (deltaT * deltaT);
+  // Two pinned particles can't be moved, and their error never changes.
+  if (w1 + w2 + alpha === 0) return;
+  let C = dist - this.distance;
+  let dLambda = (-C - alpha * this.lambda) / (w1 + w2 + alpha);
+  this.lambda += dLambda;
+
+  // The gradient of C is -AB/|AB| for p1 and AB/|AB| for p2.
+  let scale = dLambda / dist;
+  a.x -= w1 * scale * dx;
+  a.y -= w1 * scale * dy;
+  a.z -= w1 * scale * dz;
+  b.x += w2 * scale * dx;
+  b.y += w2 * scale * dy;
+  b.z += w2 * scale * dz;
 };
 
 /****************************** CLOTH ******************************/
@@ -62,18 +189,62 @@ Constraint.prototype.enforce = function() {
 // Parameters:
 //   w: (int) number of segments width-wise
 //   h: (int) number of segments height-wise
-//   l: (int) actual length of the square cloth
+//   params: (Params) the parameters to build and simulate the cloth with,
+//      including its size (fabricWidth by fabricHeight)
+//   random: (function) returns pseudo-random numbers in [0, 1) like Math.random,
+//      e.g. the seeded generator owned by the Simulation
+//   panels: (Panel[]) optionally, panels to cut the cloth from instead of a
+//      w by h grid (see Cloth.prototype.cutFromPanels)
 //
 // A cloth has the following properties:
-//   this.w: (int) number of segments width-wise
-//   this.h: (int) number of segments height-wise
+//   this.w: (int) number of segments width-wise, for a grid
+//   this.h: (int) number of segments height-wise, for a grid
+//   this.panels: (Panel[]) the panels the cloth was cut from, or null for a
+//      grid
+//   this.params: (Params) the parameters the cloth was built with
+//   this.parameterization: (function(u, v, vec)) sets vec to where the
+//      particle with texture coordinates (u, v) starts (see
+//      clothParameterization)
+//   this.uvs: (THREE.Vector2[]) the texture coordinates of each particle,
+//      from (0, 0) to (1, 1) across the cloth
+//   this.uvSpacing: (THREE.Vector2) the distance between neighbouring
+//      particles, in texture coordinates
+//   this.boundary: (Uint8Array) for each particle, 1 if it is on the edge of
+//      the cloth, or 0
+//   this.restDistanceU, this.restDistanceV: (Number) the rest distance of
+//      adjacent particles width-wise and height-wise, which differ slightly
+//      when the cloth's size isn't a whole number of particle spacings
+//   this.restDistance: (Number) the side of a square with the area of one
+//      cell of the grid, i.e. the cloth's typical particle spacing
+//   this.random: (function) the source of randomness for rain and random pins
 //   this.constraints: (Constraints[]) list of Constraint objects
 //      that constrain distances between some 2 particles in the cloth
-//   this.particles: (Particles[]) list of Particle objects that make up the cloth
+//   this.particles: (Particles[]) list of Particle objects that make up the cloth.
+//      Particles are merged as the seams of panels are welded (see weld)
+//   this.faces: (THREE.Face3[]) triangles of the cloth, indexing into particles
+//      in the same order as the geometry used to render it (see
+//      Scene.buildClothGeometry).
+//      Faces are removed as the cloth tears (see removeConstraints)
+//   this.waveOffset: (Number) current height offset of the edge moved by applyWave
+//   this.windField: (WindField) the turbulent wind, if any, which the
+//      Simulation gives the cloth its own seeded randomness for
 //
 // NOTE: A cloth is a 2d grid of particles ranging from (0,0) to (w,h) *inclusive*.
 //       This means that the grid of particles is [w+1 x h+1], NOT [w x h].
-function Cloth(w, h, l) {
+//       A cloth cut from panels has no grid: only the properties above that
+//       aren't marked as being for a grid are defined for it.
+function Cloth(w, h, params, random, panels) {
+  this.params = params;
+  this.random = random;
+  this.waveOffset = 0;
+  this.windField = null;
+  if (panels) {
+    this.cutFromPanels(panels);
+    this.updateStiffnesses();
+    return;
+  }
+  this.panels = null;
+
   // Internal helper function for computing 1D index into particles list
   // from a particle's 2D index
   function index(u, v) {
@@ -84,22 +255,36 @@ function Cloth(w, h, l) {
   // Width and height
   this.w = w;
   this.h = h;
+  this.parameterization = clothParameterization(params);
 
   // Resting distances
-  this.restDistance = SceneParams.fabricLength / this.w; // for adjacent particles
+  this.restDistanceU = params.fabricWidth / this.w; // for adjacent particles
+  this.restDistanceV = params.fabricHeight / this.h;
+  this.restDistance = Math.sqrt(this.restDistanceU * this.restDistanceV);
   this.restDistanceB = 2; // multiplier for 2-away particles
-  this.restDistanceS = Math.sqrt(2);
+  // for diagonal particles
+  let restDistanceS = Math.sqrt(this.restDistanceU * this.restDistanceU + this.restDistanceV * this.restDistanceV);
 
   // Empty initial lists
   let particles = [];
   let constraints = [];
 
+  // Stiffness of each type of spring
+  let stiffness = Cloth.stiffnesses(params);
+
   // Create particles
+  let uvs = [];
+  let boundary = new Uint8Array((w + 1) * (h + 1));
   for (let v = 0; v <= h; v++) {
     for (let u = 0; u <= w; u++) {
-      particles.push(new Particle(u / w, v / h, 0, SceneParams.MASS));
+      particles.push(new Particle(u / w, v / h, 0, params.MASS, this.parameterization));
+      uvs.push(new THREE.Vector2(u / w, v / h));
+      boundary[index(u, v)] = (u == 0 || u == w || v == 0 || v == h) ? 1 : 0;
     }
   }
+  this.uvs = uvs;
+  this.uvSpacing = new THREE.Vector2(1 / w, 1 / h);
+  this.boundary = boundary;
 
   // Edge constraints
   let rconstraints = [];
@@ -107,28 +292,28 @@ function Cloth(w, h, l) {
   for (let v = 0; v <= h; v++) {
     for (let u = 0; u <= w; u++) {
       if (v < h && (u == 0 || u == w)) {
-          constraints.push(new Constraint(particles[index(u, v)], particles[index(u, v + 1)], this.restDistance));
+          constraints.push(new Constraint(particles[index(u, v)], particles[index(u, v + 1)], this.restDistanceV, "structural", stiffness.structural));
       }
 
       if (u < w && (v == 0 || v == h)) {
-        constraints.push(new Constraint(particles[index(u, v)], particles[index(u + 1, v)], this.restDistance));
+        constraints.push(new Constraint(particles[index(u, v)], particles[index(u + 1, v)], this.restDistanceU, "structural", stiffness.structural));
       }
     }
   }
 
   // Structural constraints
-  if (SceneParams.structuralSprings) {
+  if (params.structuralSprings) {
   
     for (let v = 0; v <= h; v++) {
       for (let u = 0; u <= w; u++) {
         if (v < h) {
-          let constraint = new Constraint(particles[index(u, v)], particles[index(u, v + 1)], this.restDistance)
+          let constraint = new Constraint(particles[index(u, v)], particles[index(u, v + 1)], this.restDistanceV, "structural", stiffness.structural)
           if (!constraints.includes(constraint)) {
             constraints.push(constraint);
           }
         }
         if (u < w) {
-          let constraint = new Constraint(particles[index(u, v)], particles[index(u + 1, v)], this.restDistance)
+          let constraint = new Constraint(particles[index(u, v)], particles[index(u + 1, v)], this.restDistanceU, "structural", stiffness.structural)
           if (!constraints.includes(constraint)) {
             constraints.push(constraint);
           }
@@ -138,13 +323,13 @@ function Cloth(w, h, l) {
   }
 
   // Shear constraints
-  if (SceneParams.shearSprings) {
+  if (params.shearSprings) {
 
     for (let v = 0; v < h; v++) {
       for (let u = 0; u < w; u++) {
        // if (v < h && u < w) {
-          let constraint1 = new Constraint(particles[index(u, v)], particles[index(u + 1, v + 1)],  this.restDistance* this.restDistanceS)
-          let constraint2 = new Constraint(particles[index(u + 1, v)], particles[index(u, v + 1)],  this.restDistance* this.restDistanceS)
+          let constraint1 = new Constraint(particles[index(u, v)], particles[index(u + 1, v + 1)],  restDistanceS, "shear", stiffness.shear)
+          let constraint2 = new Constraint(particles[index(u + 1, v)], particles[index(u, v + 1)],  restDistanceS, "shear", stiffness.shear)
           if (!constraints.includes(constraint1)) {
             constraints.push(constraint1);
           }
@@ -157,21 +342,20 @@ function Cloth(w, h, l) {
   }
 
   // Bending constraints
-  if (SceneParams.bendingSprings) {
+  if (params.bendingSprings) {
     // Add bending constraints between particles in the cloth to the list of constraints.
 
     for (let v = 0; v <= h; v++) {
       for (let u = 0; u <= w; u++) {
         if (v < h - 1) {
-          let constraint = new Constraint(particles[index(u, v)], particles[index(u, v + 2)], this.restDistance* this.restDistanceB)
+          let constraint = new Constraint(particles[index(u, v)], particles[index(u, v + 2)], this.restDistanceV * this.restDistanceB, "bending", stiffness.bending)
           if (!constraints.includes(constraint)) {
             constraints.push(constraint);
           }
         }
         if (u < w - 1) {
-          let constraint = new Constraint(particles[index(u, v)], particles[index(u + 2, v)], this.restDistance* this.restDistanceB)
+          let constraint = new Constraint(particles[index(u, v)], particles[index(u + 2, v)], this.restDistanceU * this.restDistanceB, "bending", stiffness.bending)
           if (!constraints.includes(constraint)) {
-            //console.log("here");
             constraints.push(constraint);
           }
         }
@@ -179,103 +363,309 @@ function Cloth(w, h, l) {
     }
   }
 
-  // Store the particles and constraints lists into the cloth object
+  // Triangulate the grid exactly like THREE.ParametricGeometry does, so
+  // that face i of the cloth is face i of the rendered geometry.
+  let faces = [];
+  for (let v = 0; v < h; v++) {
+    for (let u = 0; u < w; u++) {
+      let a = index(u, v);
+      let b = index(u + 1, v);
+      let c = index(u + 1, v + 1);
+      let d = index(u, v + 1);
+      faces.push(new THREE.Face3(a, b, d));
+      faces.push(new THREE.Face3(b, c, d));
+    }
+  }
+
+  // Store the particles, constraints and faces lists into the cloth object
   this.particles = particles;
   this.constraints = constraints;
+  this.faces = faces;
 
-  // Register an event handler to make the cloth react to your keypresses.
-  // Don't double register if this handler has already been set up.
-  // BUG: Remove this check - will invoke on wrong cloth obj
-  if (!Cloth.eventHandlerRegistered) {
-    // Add a listener for key press events.
-    // The listener should invoke `cloth.handleImpactEvents`, which you
-    // will complete elsewhere in this file.
-    //
-    // The `onMouseMove`, `onWindowResize`, and `Renderer.init` functions
-    // in `render.js` may serve as a useful guide.
-    
-    window.addEventListener("keydown", handleImpactEvents, false);
-
-    Cloth.eventHandlerRegistered = true;
-  }
+  this.updateStiffnesses();
 }
 
-// Return the Particle that the mouse cursor is currently hovering above,
-// or return null if the cursor is not over the canvas.
-Cloth.prototype.getLookedAtParticle = function() {
-  // Shoot a ray into the scene and see what it hits, just like in A3!
-  let intersects = Renderer.raycaster.intersectObjects(Scene.scene.children);
-
-  // Check all of the objects the ray intersects.
-  // If one is the cloth, find an arbitrary particle on the face that was hit.
-  for (let intersect of intersects) {
-    if (intersect.object === Scene.cloth.mesh) {
-      let i = intersect.face.a;
-      let particle = this.particles[i];
-      return particle;
+// Build the cloth from panels instead of a grid, each triangulated into
+// particles params.restDistance apart (see Panel.prototype.triangulate), laid
+// out together as they are in the pattern. The edges of the triangles are
+// structural constraints, and each pair of triangles that shares an edge is
+// held flat by a bending constraint between their opposite corners; there
+// are no shear constraints. The texture coordinates run across the box
+// around all the panels.
+//
+// The particles along the edges sewn together by the panels' seams (see
+// Panel.prototype.sew) are paired up, from the first corner of one edge to
+// the last corner of the other (or the first), and each pair is joined by a
+// "seam" constraint, which pulls them together as the cloth is sewn and is
+// then welded (see Cloth.prototype.sew and Cloth.prototype.weld).
+// Params:
+// * panels: Panel[] - the panels to cut the cloth from
+Cloth.prototype.cutFromPanels = function(panels) {
+  let params = this.params;
+  let spacing = params.restDistance;
+  let stiffness = Cloth.stiffnesses(params);
+
+  let box = new THREE.Box2();
+  for (let panel of panels) box.union(panel.boundingBox());
+  let size = box.getSize(new THREE.Vector2());
+
+  this.panels = panels;
+  this.parameterization = clothParameterization(params, size.x, size.y);
+  this.restDistanceU = spacing;
+  this.restDistanceV = spacing;
+  this.restDistance = spacing;
+  this.restDistanceB = 2;
+  this.uvSpacing = new THREE.Vector2(spacing / size.x, spacing / size.y);
+
+  let particles = [];
+  let uvs = [];
+  let boundary = [];
+  let constraints = [];
+  let faces = [];
+  // The indices of the particles along each edge of each panel
+  let panelEdges = new Map();
+  for (let panel of panels) {
+    let mesh = panel.triangulate(spacing);
+    let first = particles.length;
+    panelEdges.set(panel, mesh.edges.map(function(indices) {
+      return indices.map(function(i) { return first + i; });
+    }));
+
+    // A panel placed elsewhere is moved from around its own centre
+    let parameterization = this.parameterization;
+    if (panel.placement) {
+      let center = panel.boundingBox().getCenter(new THREE.Vector2()).sub(box.min);
+      let placement = panel.placement.clone().multiply(new THREE.Matrix4().makeTranslation(
+        -(center.x - size.x / 2), 0, -(center.y - size.y / 2)));
+      parameterization = clothParameterization(params, size.x, size.y, placement);
+    }
+    for (let i = 0; i < mesh.points.length; i++) {
+      let uv = mesh.points[i].clone().sub(box.min).divide(size);
+      particles.push(new Particle(uv.x, uv.y, 0, params.MASS, parameterization));
+      uvs.push(uv);
+      boundary.push(mesh.boundary[i] ? 1 : 0);
+    }
+
+    // The corners opposite each edge, in the triangles on either side of it
+    let opposites = new Map();
+    for (let [a, b, c] of mesh.triangles) {
+      faces.push(new THREE.Face3(first + a, first + b, first + c));
+      for (let [i, j, k] of [[a, b, c], [b, c, a], [c, a, b]]) {
+        let key = Math.min(i, j) * mesh.points.length + Math.max(i, j);
+        if (!opposites.has(key)) opposites.set(key, { i: i, j: j, corners: [] });
+        opposites.get(key).corners.push(k);
+      }
+    }
+
+    let points = mesh.points;
+    for (let edge of opposites.values()) {
+      let p1 = particles[first + edge.i];
+      let p2 = particles[first + edge.j];
+      // Like the grid, the edges of the cloth are always held together
+      if (params.structuralSprings || edge.corners.length == 1) {
+        let distance = points[edge.i].distanceTo(points[edge.j]);
+        constraints.push(new Constraint(p1, p2, distance, "structural", stiffness.structural));
+      }
+      if (params.bendingSprings && edge.corners.length == 2) {
+        let [k, l] = edge.corners;
+        let distance = points[k].distanceTo(points[l]);
+        let bending = new Constraint(particles[first + k], particles[first + l], distance, "bending", stiffness.bending);
+        // It stops holding the cloth flat once the edge tears
+        bending.hinge = [first + edge.i, first + edge.j];
+        constraints.push(bending);
+      }
     }
   }
 
-  // The ray didn't run into any faces of the cloth.
-  return null;
-}
+  // The indices of the particles along the given edges of a panel, in order
+  function along(panel, edges) {
+    let indices = [];
+    for (let edge of [].concat(edges)) {
+      let points = panelEdges.get(panel)[edge];
+      // Each edge starts where the one before it ended
+      indices = indices.concat(indices.length > 0 ? points.slice(1) : points);
+    }
+    return indices;
+  }
 
-// Handler for impact events generated by the keyboard.
-// When a certain key on the keyboard is pressed, apply a small impulse to the
-// cloth at the location of the mouse cursor.
-//
-// We recommend binding each of the four arrow keys to a different directional
-// impulse, but you are welcome to get creative if you'd like to have more
-// complicated effects, or use different keys.
-// Be sure to document your implementation and keybindings in the writeup.
+  // Pair each particle along the edge with more of them with the one at the
+  // same fraction of the way along the other edge
+  let pairs = new Map();
+  for (let panel of panels) {
+    for (let seam of panel.seams) {
+      if (!panelEdges.has(seam.panel)) continue;
+      let a = along(panel, seam.edge);
+      let b = along(seam.panel, seam.otherEdge);
+      if (!seam.sameWay) b.reverse();
+      if (a.length < b.length) [a, b] = [b, a];
+      for (let k = 0; k < a.length; k++) {
+        let i = a[k];
+        let j = b[Math.round(k / Math.max(1, a.length - 1) * (b.length - 1))];
+        if (i !== j) pairs.set(Math.min(i, j) * particles.length + Math.max(i, j), [i, j]);
+      }
+    }
+  }
+  for (let [i, j] of pairs.values()) {
+    let distance = particles[i].original.distanceTo(particles[j].original);
+    let seam = new Constraint(particles[i], particles[j], distance, "seam", stiffness.seam);
+    // How far apart the seam starts, before it is sewn
+    seam.seamLength = distance;
+    constraints.push(seam);
+  }
+
+  this.particles = particles;
+  this.uvs = uvs;
+  this.boundary = Uint8Array.from(boundary);
+  this.constraints = constraints;
+  this.faces = faces;
+};
+
+// Return the stiffness of each type of spring, as set in params, with keys
+// matching Constraint.prototype.type.
+Cloth.stiffnesses = function(params) {
+  return {
+    structural: params.structuralStiffness,
+    shear: params.shearStiffness,
+    bending: params.bendingStiffness,
+    seam: params.seamStiffness,
+  };
+};
+
+// Update the stiffness, compliance and spring constant of every constraint to
+// match this.params, e.g. after a stiffness slider has changed.
+Cloth.prototype.updateStiffnesses = function() {
+  let stiffness = Cloth.stiffnesses(this.params);
+  for (let constraint of this.constraints) {
+    constraint.stiffness = stiffness[constraint.type];
+    constraint.compliance = this.complianceOf(constraint.stiffness);
+    constraint.springConstant = this.springConstantOf(constraint.stiffness);
+  }
+};
+
+// XPBD compliance of a spring with stiffness 1/2, in a cloth with the
+// default restDistance of 20. At the default TIMESTEP and MASS, with one
+// substep and one iteration, XPBD then corrects the same fraction of each
+// spring's error as the legacy solver does for any stiffness.
+const XPBD_COMPLIANCE = 2 * (0.018 * 0.018) / 0.1;
+const XPBD_REFERENCE_DISTANCE = 20;
+
+// Return the XPBD compliance of a spring of this cloth with the given
+// stiffness in [0, 1].
 //
+// Every particle has the same mass however finely the cloth is divided, so a
+// cloth with half the restDistance has four times the mass per area. Scaling
+// the compliance with the square of restDistance cancels that out, so that a
+// cloth drapes and stretches the same way whatever its resolution or size.
+Cloth.prototype.complianceOf = function(stiffness) {
+  if (stiffness <= 0) return Infinity;
+  let scale = this.restDistance / XPBD_REFERENCE_DISTANCE;
+  return XPBD_COMPLIANCE * (1 - stiffness) / stiffness * scale * scale;
+};
+
+// Return the Hooke's law constant of a spring of this cloth with the given
+// stiffness in [0, 1], for the integrators that treat constraints as springs
+// (see `integrators.js`). It is scaled with restDistance for the same reason
+// as complianceOf.
+Cloth.prototype.springConstantOf = function(stiffness) {
+  let scale = XPBD_REFERENCE_DISTANCE / this.restDistance;
+  return this.params.springConstant * stiffness * scale * scale;
+};
+
+// Return where the given raycaster hits the given cloth mesh, as an object
+// with properties `index`, the index of the particle at the nearest corner of
+// the face that was hit, and `point` (THREE.Vector3), the point that was hit.
+// Return null if the ray misses the cloth.
 // Params:
-// * evt: event - The keypress event that led to this function call.
-//
-//  Note: your browser's event handling framework will automatically
-//       invoke this function with the correct argument so long as you
-//       registered the handler correctly in the Cloth constructor.
-function handleImpactEvents(event) {
-  // Ignore keypresses typed into a text box
-  if (event.target.tagName === "INPUT") { return; }
-
-  // The vectors tom which each key code in this handler maps. (Change these if you like)
-  const keyMap = {
-    ArrowUp: new THREE.Vector3(0,  1,  0),
-    ArrowDown: new THREE.Vector3(0,  -1,  0),
-    ArrowLeft: new THREE.Vector3(-1,  0,  0),
-    ArrowRight: new THREE.Vector3(1,  0,  0),
-};
-
-  // The magnitude of the offset produced by this impact.
-  // this number was chosen to look well in the absence of gravity.
-  // It looks especially cool if you start turning off spring constraints.
-  const scale = 30; // the magnitude of the offset produced by this impact.
-  // (1) Check which key was pressed. If it isn't the triggering key, do nothing.
-  // (2) Shoot a ray into the scene to determine what point is being looked at.
-  //     (You may find the `cloth.getLookedAtParticle()` function useful).
-  // (3) Calculate a position offset based on the directional key pressed.
-  //     Scale the offset proportional to scale.
-  // (4) Update the particle's position based on the offset.
-
-  // Uncomment this line to inspect the fields of event in more detail:
-  // debugger;
-
-  var particle = cloth.getLookedAtParticle();
-  if (event.keyCode == 37) {
-    particle.position.addVectors(particle.original, keyMap.ArrowLeft.multiplyScalar(scale));
-  }
-  else if (event.keyCode == 38) {
-    particle.position.addVectors(particle.original, keyMap.ArrowUp.multiplyScalar(scale));
-  }
-  else if (event.keyCode == 39) {
-    particle.position.addVectors(particle.original, keyMap.ArrowRight.multiplyScalar(scale));
-  }
-  else if (event.keyCode == 40) {
-    particle.position.addVectors(particle.original, keyMap.ArrowDown.multiplyScalar(scale));
+// * raycaster: THREE.Raycaster - a ray already set up from the camera
+// * mesh: THREE.Mesh - the mesh the cloth is rendered with
+Cloth.prototype.getLookedAtPoint = function(raycaster, mesh) {
+  // The cloth has moved since the mesh's bounding sphere was computed
+  mesh.geometry.computeBoundingSphere();
+
+  // Shoot a ray into the scene and see what it hits, just like in A3!
+  let intersects = raycaster.intersectObject(mesh);
+  if (intersects.length == 0) {
+    // The ray didn't run into any faces of the cloth.
+    return null;
   }
+
+  // Find the corner of the nearest face that was hit closest to the hit
+  let intersect = intersects[0];
+  let vertices = mesh.geometry.vertices;
+  let index = intersect.face.a;
+  for (let i of [intersect.face.b, intersect.face.c]) {
+    if (vertices[i].distanceTo(intersect.point) < vertices[index].distanceTo(intersect.point)) {
+      index = i;
+    }
+  }
+  return { index: index, point: intersect.point };
 }
 
+// Return the Particle nearest to where the given raycaster hits the given
+// cloth mesh, or return null if the ray misses the cloth.
+// Params:
+// * raycaster: THREE.Raycaster - a ray already set up from the camera
+// * mesh: THREE.Mesh - the mesh the cloth is rendered with
+Cloth.prototype.getLookedAtParticle = function(raycaster, mesh) {
+  let hit = this.getLookedAtPoint(raycaster, mesh);
+  return hit ? this.particles[hit.index] : null;
+}
+
+// Recompute the normal of every face from the current particle positions.
+Cloth.prototype.computeFaceNormals = function() {
+  let particles = this.particles;
+  let cb = new THREE.Vector3();
+  let ab = new THREE.Vector3();
+  for (let face of this.faces) {
+    let pA = particles[face.a].position;
+    let pB = particles[face.b].position;
+    let pC = particles[face.c].position;
+    cb.subVectors(pC, pB);
+    ab.subVectors(pA, pB);
+    face.normal.crossVectors(cb, ab).normalize();
+  }
+};
+
+// Return the index of a random particle in this cloth.
+Cloth.prototype.randomParticle = function() {
+  if (this.panels) return Math.floor(this.random() * this.particles.length);
+  let randX = Math.round(this.random() * this.w);
+  let randY = Math.round(this.random() * this.h);
+  return this.index(randX, randY);
+};
+
+// Return the indices of the particles along one side of the cloth: those on
+// its edge within half a particle spacing of the given u or v texture
+// coordinate. For a grid, this is one row or column of it.
+// Params:
+// * axis: int - 0 for a side across u, 1 for a side across v
+// * value: Number - the u or v coordinate of the side, 0 or 1
+Cloth.prototype.edgeParticles = function(axis, value) {
+  let tolerance = this.uvSpacing.getComponent(axis) / 2;
+  let indices = [];
+  for (let i = 0; i < this.particles.length; i++) {
+    if (this.boundary[i] && Math.abs(this.uvs[i].getComponent(axis) - value) <= tolerance) {
+      indices.push(i);
+    }
+  }
+  return indices;
+};
+
+// Return the index of the particle with texture coordinates nearest (u, v),
+// e.g. (0, 0) for a corner of the cloth.
+// Params:
+// * u, v: Number - the texture coordinates
+Cloth.prototype.nearestParticle = function(u, v) {
+  let target = new THREE.Vector2(u, v);
+  let nearest = 0;
+  for (let i = 1; i < this.uvs.length; i++) {
+    if (this.uvs[i].distanceToSquared(target) < this.uvs[nearest].distanceToSquared(target)) {
+      nearest = i;
+    }
+  }
+  return nearest;
+};
+
 // ***************************************************************
 // *                     Forces & Impulses
 // ***************************************************************
@@ -283,7 +673,7 @@ function handleImpactEvents(event) {
 // Apply a uniform force due to gravity to all particles in the cloth
 Cloth.prototype.applyGravity = function() {
   let particles = this.particles;
-  const GRAVITY = SceneParams.GRAVITY;
+  const GRAVITY = this.params.GRAVITY;
   // For each particle in the cloth, apply force due to gravity.
 
   for (let i = 0; i < particles.length; i++) {
@@ -295,204 +685,246 @@ Cloth.prototype.applyGravity = function() {
 
 // Oscllate one edge of the cloth up and down with the specified
 // amplitude and frequency, while fixing the opposing edge in place.
+// The current offset of the edge is stored in this.waveOffset so that
+// the renderer can grow/shrink the poles to match.
 //
 // Useful for debugging constraints.
 //
 // Params:
 // * amplitude: Number - the amplitude of oscillation (in units)
 // * frequency: Number - the frequency of oscillation (in Hz/2pi)
-Cloth.prototype.applyWave = function(amplitude, frequency) {
+// * time: Number - the simulation time in milliseconds
+Cloth.prototype.applyWave = function(amplitude, frequency, time) {
   let f = frequency / 1000;
   let y = amplitude * Math.sin(f * time);
   let offset = new THREE.Vector3(0,y,0);
 
   // Move the last row of cloth up and down.
-  for (let i = 0; i <= this.w; i++) {
-    let particle = this.particles[this.index(0, i)];
+  for (let i of this.edgeParticles(0, 0)) {
+    let particle = this.particles[i];
     particle.previous.addVectors(particle.original, offset);
     particle.position.addVectors(particle.original, offset);
   }
 
-  // Grow/shrink the poles to match
-  let oldHeight = Scene.poles.height;
-  let newHeight = oldHeight + y;
-  let ratio = newHeight / oldHeight;
-  Scene.poles.meshes[3].scale.y = ratio;
-  Scene.poles.meshes[0].scale.y = ratio;
+  this.waveOffset = y;
 }
 
-// For each face in the cloth's geometry, apply a wind force.
-//
+// Return the direction the wind blows towards, as a unit vector.
 // Params:
-// * windStrength: number - the strength of the wind. Larger = stronger wind.
-//        The precise implementation details of how to use this parameter are
-//        intentionally left for you to decide upon.
-Cloth.prototype.applyWind = function(windStrength) {
-  let particles = this.particles;
-  // Here are some dummy values for a relatively boring wind.
-  //
-  // Try making it more interesting by making the strength and direction
-  // of the wind vary with time. You can use the global variable `time`,
-  // which stores (and is constantly updated with) the current Unix time
-  // in milliseconds.
-  //
-  // One suggestion is to use sinusoidal functions. Play around with the
-  // constant factors to find an appealing result!
-  windStrength *= 0.25*Math.sin(time/5000)
-  windStrength += 30 
-  let windForce = new THREE.Vector3(1, 1, 1).normalize().multiplyScalar(windStrength);
-  // Apply the wind force to the cloth particles
-  let faces = Scene.cloth.geometry.faces;
-  for (let face of faces) {
-    let normal = face.normal;
-    let tmpForce = normal
-      .clone()
-      .normalize()
-      .multiplyScalar(normal.dot(windForce));
-    particles[face.a].addForce(tmpForce);
-    particles[face.b].addForce(tmpForce);
-    particles[face.c].addForce(tmpForce);
+// * azimuth: Number - the angle around the vertical axis, in degrees, from
+//      the +x axis towards the +z axis
+// * elevation: Number - the angle above the horizontal, in degrees
+Cloth.windDirection = function(azimuth, elevation) {
+  let a = THREE.Math.degToRad(azimuth);
+  let e = THREE.Math.degToRad(elevation);
+  return new THREE.Vector3(Math.cos(e) * Math.cos(a), Math.sin(e), Math.cos(e) * Math.sin(a));
+};
+
+// Return the velocity of the wind at the given point and time, in units per
+// second. The wind blows in the direction set by this.params.windAzimuth and
+// this.params.windElevation. With this.params.turbulentWind on, it swirls in
+// the eddies of this.windField; otherwise it is the same everywhere, and
+// gusts slowly over time.
+// Params:
+// * point: THREE.Vector3 - where to find the wind; only needed for a
+//      turbulent wind
+// * windStrength: Number - the speed of the base wind, in units per second
+// * time: Number - the simulation time in milliseconds
+// * target: THREE.Vector3 - where to store the velocity
+Cloth.prototype.windAt = function(point, windStrength, time, target) {
+  let params = this.params;
+  let direction = Cloth.windDirection(params.windAzimuth, params.windElevation);
+  if (params.turbulentWind && this.windField) {
+    let base = direction.multiplyScalar(windStrength);
+    return this.windField.velocityAt(point, base, time, params, target);
   }
+  let speed = windStrength * (1 + 0.25 * Math.sin(time / 5000));
+  return target.copy(direction).multiplyScalar(speed);
 };
 
-// For each face in the cloth's geometry, apply a rain impulse.
-// Impulses represent a sudden strike to the cloth, rather than a sustained force.
-//
-// As such, the "rain force" is not a true force, and doesn't need to be
-// considered during net force calculations. Instead, you can think of the
-// rain impulse as a sudden change to the position of affected particles,
-// which will be corrected over time by the constraints of the cloth.
-//
-// Hint: You may find Sim.randomCoord() useful.
+// For each face in the cloth's geometry, apply an aerodynamic wind force due
+// to the air flowing past it (see windAt), at the wind's velocity relative to
+// the face's own: drag pushes the face along with the air, and lift pushes it
+// across the flow. Both grow with the face's area and the square of the
+// relative speed, so a face already moving with the wind feels none of it.
 //
 // Params:
-// * strength: number - a scalar multiplier for the strength of raindrop impact
-// * rate: number - the number of raindrop impacts to simulate in a given frame
-Cloth.prototype.applyRain = function(strength, rate) {
+// * windStrength: Number - the speed of the wind, in units per second
+// * time: Number - the simulation time in milliseconds
+// * deltaT: Number - the length of the step about to be taken, in seconds;
+//      each particle moved from previous to position over the last one
+Cloth.prototype.applyWind = function(windStrength, time, deltaT) {
+  let params = this.params;
   let particles = this.particles;
-
-  // (1) For each of the `rate` raindrops,
-  //    (i)    Compute a random impact location
-  //    (ii)   Add an impulse to that raindrop's position
-  //    (iii)  Add a weakened impulse to nearby raindrops
-
-for (let i = 0; i < rate; i++){
-  let hit = Sim.randomCoord();
-  //console.log(hit)
-  if (0 <= i && i < particles.length) {
-    this.particles[this.index(hit.x, hit.y)].position.y -= strength
-    if (hit.x > 0)
-      this.particles[this.index(hit.x-1, hit.y)].position.y -= strength * 0.1
-    if (hit.x < this.w)
-     this.particles[this.index(hit.x+1, hit.y)].position.y -= strength * 0.1
-    if (hit.y > 0)
-      this.particles[this.index(hit.x, hit.y-1)].position.y -= strength * 0.1
-    if (hit.y < this.h)
-      this.particles[this.index(hit.x, hit.y+1)].position.y -= strength * 0.1
-    if (hit.x > 0 && hit.y > 0)
-      this.particles[this.index(hit.x-1, hit.y-1)].position.y -= strength * 0.1
-    if (hit.x > 0 && hit.y < this.h)
-      this.particles[this.index(hit.x-1, hit.y+1)].position.y -= strength * 0.1
-    if (hit.x < this.w && hit.y > 0)
-      this.particles[this.index(hit.x+1, hit.y-1)].position.y -= strength * 0.1
-    if (hit.x < this.w && hit.y < this.h)
-      this.particles[this.index(hit.x+1, hit.y+1)].position.y -= strength * 0.1
+  // The same wind blows on every face, unless it is turbulent, in which case
+  // a face feels the average of the wind at its corners
+  let turbulent = params.turbulentWind && this.windField;
+  let wind = new THREE.Vector3();
+  let winds = null;
+  if (turbulent) {
+    winds = particles.map((particle) => {
+      return this.windAt(particle.position, windStrength, time, new THREE.Vector3());
+    });
+  } else {
+    this.windAt(null, windStrength, time, wind);
   }
-}
 
-}
+  let velocity = new THREE.Vector3();
+  let relative = new THREE.Vector3();
+  let normal = new THREE.Vector3();
+  let ab = new THREE.Vector3();
+  let ac = new THREE.Vector3();
+  let lift = new THREE.Vector3();
+  let force = new THREE.Vector3();
+  for (let face of this.faces) {
+    let a = particles[face.a];
+    let b = particles[face.b];
+    let c = particles[face.c];
+    if (turbulent) {
+      wind.addVectors(winds[face.a], winds[face.b]).add(winds[face.c]).divideScalar(3);
+    }
 
+    // The face moves with the average velocity of its corners
+    velocity.subVectors(a.position, a.previous)
+      .add(b.position).sub(b.previous)
+      .add(c.position).sub(c.previous)
+      .divideScalar(3 * deltaT);
+    relative.subVectors(wind, velocity);
+    let relativeSpeed = relative.length();
+    if (relativeSpeed === 0) continue;
 
-// Implement your own custom force, and apply it to some (or all) of the
-// particles in the cloth.
-//
-// You can make it vary as a function of time, space, or any other parameters
-// that you can dream up.
+    ab.subVectors(b.position, a.position);
+    ac.subVectors(c.position, a.position);
+    normal.crossVectors(ab, ac);
+    let area = normal.length() / 2;
+    if (area === 0) continue;
+    normal.divideScalar(2 * area);
+
+    // The cosine between the normal and the flow, i.e. the sine of the angle
+    // of attack, with the normal turned to face downstream
+    let attack = normal.dot(relative) / relativeSpeed;
+    if (attack < 0) {
+      normal.negate();
+      attack = -attack;
+    }
+
+    // Dynamic pressure times area: 1/2 rho |v|^2 A
+    let pressure = 0.5 * params.airDensity * relativeSpeed * relativeSpeed * area;
+    // Drag is along the flow, in proportion to the face's area across it
+    force.copy(relative).multiplyScalar(params.dragCoefficient * pressure * attack / relativeSpeed);
+    // Lift is the part of the normal across the flow, which is greatest with
+    // the face at 45 degrees to it, and zero face on or edge on
+    lift.copy(relative).multiplyScalar(-attack / relativeSpeed).add(normal);
+    force.addScaledVector(lift, params.liftCoefficient * pressure * attack);
+
+    // Share the force between the corners of the face
+    force.divideScalar(3);
+    a.addForce(force);
+    b.addForce(force);
+    c.addForce(force);
+  }
+};
+
+// Strike the cloth at a point on one of its faces, moving each corner of the
+// face by the given offset in proportion to its barycentric weight, e.g. where
+// a raindrop hits (see Rain.prototype.step).
+// Like the other impulses, a strike is not a true force: it moves the
+// particles directly, and the constraints of the cloth correct the change
+// over time. Pinned particles stay where they are pinned.
 //
 // Params:
-// * strength: number - a strength parameter. Use it however you like, or ignore it!
-// * rate: number - a rate parameter. Use it however you like, or ignore it!
-Cloth.prototype.applyCustom = function(strength, rate) {
-  let particles = this.particles;
-
-        let hit = new THREE.Vector2(Math.round(time/100), Math.round(time/100))
-       //)
-        //console.log(hit)
-        if (hit.x >= 0 && hit.y >= 0 && hit.x <= this.w && hit.y <= this.h) {
-  
-          this.particles[this.index(hit.x, hit.y)].position.y /=  strength
-          if (hit.x > 0)
-            this.particles[this.index(hit.x-1, hit.y)].position.y += strength * 0.1
-          if (hit.x < this.w)
-           this.particles[this.index(hit.x+1, hit.y)].position.y += strength * 0.1
-          if (hit.y > 0)
-            this.particles[this.index(hit.x, hit.y-1)].position.y += strength * 0.1
-          if (hit.y < this.h)
-            this.particles[this.index(hit.x, hit.y+1)].position.y += strength * 0.1
-          if (hit.x > 0 && hit.y > 0)
-            this.particles[this.index(hit.x-1, hit.y-1)].position.y += strength * 0.1
-          if (hit.x > 0 && hit.y < this.h)
-            this.particles[this.index(hit.x-1, hit.y+1)].position.y += strength * 0.1
-          if (hit.x < this.w && hit.y > 0)
-            this.particles[this.index(hit.x+1, hit.y-1)].position.y += strength * 0.1
-          if (hit.x < this.w && hit.y < this.h)
-            this.particles[this.index(hit.x+1, hit.y+1)].position.y += strength * 0.1
-        }
-    //  }
-      
- // }
-//}
-}
+// * face: THREE.Face3 - the face that was struck
+// * weights: THREE.Vector3 - the barycentric coordinates of the point struck
+// * offset: THREE.Vector3 - how far to move a corner with weight 1
+Cloth.prototype.strike = function(face, weights, offset) {
+  let corners = [[face.a, weights.x], [face.b, weights.y], [face.c, weights.z]];
+  for (let [i, weight] of corners) {
+    let particle = this.particles[i];
+    if (!particle.isPinned()) particle.position.addScaledVector(offset, weight);
+  }
+};
 
 // Wrapper function that calls each of the other force-related
-// functions, if applicable. Additional forces in the simulation
-// should be added here.
-Cloth.prototype.applyForces = function() {
-  if (SceneParams.gravity) {
+// functions, if applicable, then each of the plugin forces that is turned
+// on. Additional forces in the simulation should be registered as plugins
+// (see `forces.js`).
+//
+// Forces only accumulate into each particle's netForce, so they must be
+// applied again before every integration substep; impulses, which move
+// particles directly, are applied by applyImpulses once per frame instead.
+// Params:
+// * time: Number - the simulation time in milliseconds
+// * deltaT: Number - the length of the step the forces are applied over,
+//      in seconds
+Cloth.prototype.applyForces = function(time, deltaT) {
+  let params = this.params;
+  if (params.gravity) {
     this.applyGravity();
   }
-  if (SceneParams.wind) {
-    this.applyWind(SceneParams.windStrength);
-  }
-  if (SceneParams.rain) {
-    this.applyRain(SceneParams.rainStrength, SceneParams.rainRate);
-  }
-  if (SceneParams.wave) {
-    this.applyWave(SceneParams.waveAmp, SceneParams.waveFreq);
-  }
-  if (SceneParams.customForce) {
-    this.applyCustom(SceneParams.customFStrength, SceneParams.customFRate);
+  if (params.wind) {
+    this.applyWind(params.windStrength, time, deltaT);
   }
+  Forces.apply(this, time, deltaT);
 };
 
-Cloth.prototype.update = function(deltaT) {
-  if (!SceneParams.integrate) return;
-  let particles = this.particles;
-  // For each particle in the cloth, have it update its position
-  // by calling its integrate function.
-  for (let i = 0; i < particles.length; i++) {
-    particles[i].integrate(deltaT)
+// Wrapper function that calls each of the impulse-related functions, which
+// move the particles directly, if applicable.
+// Params:
+// * time: Number - the simulation time in milliseconds
+Cloth.prototype.applyImpulses = function(time) {
+  let params = this.params;
+  if (params.wave) {
+    this.applyWave(params.waveAmp, params.waveFreq, time);
   }
 };
 
+// Move every particle forward in time with the integrator chosen by
+// this.params.integrator (see `integrators.js`).
+// Params:
+// * deltaT: Number - the length of time dt over which to integrate
+// * DAMPING: Number - the damping coefficient for integration; defaults to
+//      this.params.DAMPING, which is the damping of a whole TIMESTEP
+Cloth.prototype.update = function(deltaT, DAMPING) {
+  if (!this.params.integrate) return;
+  if (DAMPING === undefined) DAMPING = this.params.DAMPING;
+  Integrators[this.params.integrator].integrate(this, deltaT, DAMPING);
+};
+
 // ***************************************************************
 // *                 Collisions & Constraints
 // ***************************************************************
 
-Cloth.prototype.handleCollisions = function() {
-  let particles = this.particles;
+// The Particle method that handles collisions with each type of collider.
+Cloth.collisionHandlers = {
+  floor: Particle.prototype.handleFloorCollision,
+  sphere: Particle.prototype.handleSphereCollision,
+  box: Particle.prototype.handleBoxCollision,
+  capsule: Particle.prototype.handleCapsuleCollision,
+  cylinder: Particle.prototype.handleCylinderCollision,
+  torus: Particle.prototype.handleTorusCollision,
+  plane: Particle.prototype.handlePlaneCollision,
+  mesh: Particle.prototype.handleMeshCollision,
+};
 
-  let floor  = Scene.ground;
-  let sphere = Scene.sphere;
-  let box    = Scene.box;
+// Params:
+// * colliders: ColliderRegistry - the objects in the scene to collide with
+Cloth.prototype.handleCollisions = function(colliders) {
+  let particles = this.particles;
+  let list = colliders.list.filter(function(collider) {
+    return collider.enabled;
+  });
+  const friction = this.params.friction;
   // For each particle in the cloth, call the appropriate function(s)
   // for handling collisions with various objects.
   //
-  // Edit this function as you implement additional collision-detection functions.
+  // Edit Cloth.collisionHandlers as you implement additional
+  // collision-detection functions.
   for (let i = 0; i < particles.length; i++) {
-    particles[i].handleFloorCollision(floor)
-    particles[i].handleSphereCollision(sphere)
-    particles[i].handleBoxCollision(box)
+    // Nothing moves a pinned particle
+    if (particles[i].isPinned()) continue;
+    for (let collider of list) {
+      Cloth.collisionHandlers[collider.type].call(particles[i], collider, friction);
+    }
   }
 };
 
@@ -504,25 +936,236 @@ Cloth.prototype.enforceConstraints = function() {
   }
 };
 
-
-Cloth.prototype.createConstraintLinesInScene = function() {
+// Enforce all constraints in the cloth with XPBD, iterating over them the
+// given number of times. The Lagrange multipliers start again from zero
+// every substep.
+// Params:
+// * deltaT: Number - the length of the substep being solved, in seconds
+// * iterations: int - how many times to enforce each constraint
+Cloth.prototype.enforceConstraintsXPBD = function(deltaT, iterations) {
   let constraints = this.constraints;
-  let group = new THREE.Group();
-  // create constraint lines if not already created
-  if (!Scene.cloth.constraints) {
-    let objs = [];
-    for (let c of constraints) {
-      let obj = Scene.createConstraintLine(c)
-      objs.push(obj);
-      group.add(obj.mesh);
+  for (let i = 0; i < constraints.length; i++) {
+    constraints[i].lambda = 0;
+  }
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let i = 0; i < constraints.length; i++) {
+      constraints[i].enforceXPBD(deltaT);
     }
-    Scene.cloth.constraints = {
-      array: objs,
-      group: group,
-    };
-    Scene.scene.add(group);
   }
-}
+};
+
+// Tear every constraint stretched to more than threshold times its rest
+// distance (see Cloth.prototype.removeConstraints). Returns how many tore.
+// Params:
+// * threshold: Number - the ratio of length to rest distance a constraint
+//      tears at
+Cloth.prototype.tearOverstretched = function(threshold) {
+  let torn = new Set();
+  for (let constraint of this.constraints) {
+    // Seams are stretched on purpose until they are sewn
+    if (constraint.type === "seam") continue;
+    let length = constraint.p1.position.distanceTo(constraint.p2.position);
+    if (length > threshold * constraint.distance) torn.add(constraint);
+  }
+  if (torn.size > 0) this.removeConstraints(torn);
+  return torn.size;
+};
+
+// Sever every constraint that crosses the segment from start to end as seen
+// by the camera, like a knife drawn across the screen (see
+// Cloth.prototype.removeConstraints). Returns how many were severed.
+// Params:
+// * start, end: THREE.Vector2 - the ends of the cut, in normalized device
+//      coordinates (-1 to +1) like Renderer.mouse
+// * camera: THREE.Camera - the camera the cloth is seen through
+Cloth.prototype.cut = function(start, end, camera) {
+  let screen = new Map();
+  let point = new THREE.Vector3();
+  for (let particle of this.particles) {
+    point.copy(particle.position).project(camera);
+    // Behind the camera, or past its far plane
+    if (point.z > 1) continue;
+    screen.set(particle, new THREE.Vector2(point.x, point.y));
+  }
+
+  let severed = new Set();
+  for (let constraint of this.constraints) {
+    let a = screen.get(constraint.p1);
+    let b = screen.get(constraint.p2);
+    if (a && b && segmentsCross(start, end, a, b)) severed.add(constraint);
+  }
+  if (severed.size > 0) this.removeConstraints(severed);
+  return severed.size;
+};
+
+// Remove the given constraints from the cloth, so that it comes apart between
+// their particles. Bending constraints across a removed constraint (i.e.
+// through the particle halfway between their own) are removed with it, and so
+// are the faces along it, which opens a hole in the cloth and in its rendered
+// geometry (see Renderer.render).
+//
+// this.constraints and this.faces are replaced rather than changed in place,
+// so that a StateHistory can keep the ones from before the tear.
+// Params:
+// * removed: Set - the Constraints to remove
+Cloth.prototype.removeConstraints = function(removed) {
+  let n = this.particles.length;
+  let indices = new Map();
+  this.particles.forEach(function(particle, i) {
+    indices.set(particle, i);
+  });
+  function key(i, j) {
+    return Math.min(i, j) * n + Math.max(i, j);
+  }
+
+  // The pairs of particles that are no longer held together
+  let torn = new Set();
+  for (let constraint of removed) {
+    torn.add(key(indices.get(constraint.p1), indices.get(constraint.p2)));
+  }
+
+  this.constraints = this.constraints.filter(function(constraint) {
+    if (removed.has(constraint)) return false;
+    if (constraint.type !== "bending") return true;
+    if (constraint.hinge) {
+      return !torn.has(key(constraint.hinge[0], constraint.hinge[1]));
+    }
+    let i = indices.get(constraint.p1);
+    let j = indices.get(constraint.p2);
+    let middle = (i + j) / 2;
+    return !torn.has(key(i, middle)) && !torn.has(key(middle, j));
+  });
+  this.faces = this.faces.filter(function(face) {
+    return !torn.has(key(face.a, face.b)) && !torn.has(key(face.b, face.c)) &&
+      !torn.has(key(face.c, face.a));
+  });
+  // The edges of the faces have changed (see Cloth.prototype.getEdges)
+  this.edges = undefined;
+};
+
+// Pull the seams of the cloth together: the rest distance of every "seam"
+// constraint shrinks from how far apart its particles started to nothing as
+// the sewing progresses.
+// Params:
+// * progress: Number - how far the sewing has got, from 0 (not started) to
+//      1 (sewn)
+Cloth.prototype.sew = function(progress) {
+  let left = 1 - THREE.Math.clamp(progress, 0, 1);
+  for (let constraint of this.constraints) {
+    if (constraint.type === "seam") constraint.distance = constraint.seamLength * left;
+  }
+};
+
+// Weld the seams of the cloth: merge the particles held together by each
+// "seam" constraint into one, halfway between them, so that the panels
+// become a single piece of cloth. The constraints and faces of the merged
+// particles are moved onto the particle they are merged into, and the edges
+// of the cloth are found anew. Returns, for each old particle index, its
+// index in the welded cloth, or null if there was no seam to weld.
+//
+// Like Cloth.prototype.removeConstraints, this replaces this.particles,
+// this.uvs, this.boundary, this.constraints and this.faces rather than
+// changing them, so that a StateHistory can keep the ones from before; only
+// the positions of the particles that are kept change.
+Cloth.prototype.weld = function() {
+  let particles = this.particles;
+  let n = particles.length;
+  let indices = new Map();
+  particles.forEach(function(particle, i) {
+    indices.set(particle, i);
+  });
+
+  // Join the particles into groups held together by seams, each led by the
+  // particle with the lowest index
+  let leader = new Int32Array(n);
+  for (let i = 0; i < n; i++) leader[i] = i;
+  function find(i) {
+    while (leader[i] !== i) i = leader[i] = leader[leader[i]];
+    return i;
+  }
+  let seams = 0;
+  for (let constraint of this.constraints) {
+    if (constraint.type !== "seam") continue;
+    let i = find(indices.get(constraint.p1));
+    let j = find(indices.get(constraint.p2));
+    leader[Math.max(i, j)] = Math.min(i, j);
+    seams++;
+  }
+  if (seams == 0) return null;
+
+  // Keep the leaders, in order, at the average position of their groups
+  let remap = new Int32Array(n);
+  let kept = [];
+  let uvs = [];
+  let counts = [];
+  for (let i = 0; i < n; i++) {
+    let j = find(i);
+    if (j === i) {
+      remap[i] = kept.length;
+      kept.push(particles[i]);
+      uvs.push(this.uvs[i]);
+      counts.push(1);
+      continue;
+    }
+    remap[i] = remap[j];
+    let particle = kept[remap[j]];
+    let count = ++counts[remap[j]];
+    particle.position.lerp(particles[i].position, 1 / count);
+    particle.previous.lerp(particles[i].previous, 1 / count);
+  }
+
+  // Move the constraints onto the kept particles, leaving out the seams and
+  // any that now join a particle to itself or repeat another
+  let constraints = [];
+  let joined = new Set();
+  for (let constraint of this.constraints) {
+    if (constraint.type === "seam") continue;
+    let i = remap[indices.get(constraint.p1)];
+    let j = remap[indices.get(constraint.p2)];
+    let key = constraint.type + " " + Math.min(i, j) + " " + Math.max(i, j);
+    if (i === j || joined.has(key)) continue;
+    joined.add(key);
+    let moved = new Constraint(kept[i], kept[j], constraint.distance, constraint.type, constraint.stiffness);
+    if (constraint.hinge) {
+      moved.hinge = [remap[constraint.hinge[0]], remap[constraint.hinge[1]]];
+    }
+    constraints.push(moved);
+  }
+
+  // Likewise the faces, and the edges of the cloth are now the edges of
+  // just one face
+  let faces = [];
+  let faceCounts = new Map();
+  let m = kept.length;
+  for (let face of this.faces) {
+    let a = remap[face.a];
+    let b = remap[face.b];
+    let c = remap[face.c];
+    if (a === b || b === c || c === a) continue;
+    faces.push(new THREE.Face3(a, b, c));
+    for (let [i, j] of [[a, b], [b, c], [c, a]]) {
+      let key = Math.min(i, j) * m + Math.max(i, j);
+      faceCounts.set(key, (faceCounts.get(key) || 0) + 1);
+    }
+  }
+  let boundary = new Uint8Array(m).fill(1);
+  for (let face of faces) {
+    boundary[face.a] = boundary[face.b] = boundary[face.c] = 0;
+  }
+  for (let [key, count] of faceCounts) {
+    if (count == 1) boundary[Math.floor(key / m)] = boundary[key % m] = 1;
+  }
+
+  this.particles = kept;
+  this.uvs = uvs;
+  this.boundary = boundary;
+  this.constraints = constraints;
+  this.faces = faces;
+  this.edges = undefined;
+  this.updateStiffnesses();
+  return remap;
+};
+
 
 // Handle self intersections within the cloth by repelling any
 // pair of particles back towards a natural rest distance.
@@ -553,6 +1196,125 @@ Cloth.prototype.createConstraintLinesInScene = function() {
 //           For example, two adjacent particles may end up each in a different
 //           bin, and we'd like to make sure they don't intersect either.
 //           Find a creative way of resolving these corner cases.
+//
+// This implements (2), including (iv): the chunks are cubes whose side is
+// the cloth's thickness, so any pair of particles closer than the thickness
+// lies in the same chunk or in two adjacent ones, and each particle is checked
+// against its own chunk and the 26 chunks surrounding it.
+// `handleSelfIntersectionsBruteForce` is the quadratic reference version;
+// set SceneParams.selfIntersectionMethod to compare the two (see also
+// `benchmarkSelfIntersections.js`).
 Cloth.prototype.handleSelfIntersections = function() {
+  if (this.params.selfIntersectionMethod === "BruteForce") {
+    this.handleSelfIntersectionsBruteForce();
+    return;
+  }
+
   let particles = this.particles;
+  const thickness = this.params.selfIntersectionThickness;
+
+  // (i)/(ii) Map each chunk to the indices of the particles within it.
+  let chunks = new Map();
+  let coords = new Int32Array(particles.length * 3);
+  for (let i = 0; i < particles.length; i++) {
+    let position = particles[i].position;
+    let x = Math.floor(position.x / thickness);
+    let y = Math.floor(position.y / thickness);
+    let z = Math.floor(position.z / thickness);
+    coords[3 * i] = x;
+    coords[3 * i + 1] = y;
+    coords[3 * i + 2] = z;
+
+    let key = spatialHashKey(x, y, z);
+    let chunk = chunks.get(key);
+    if (chunk === undefined) {
+      chunk = [];
+      chunks.set(key, chunk);
+    }
+    chunk.push(i);
+  }
+
+  // (iii)/(iv) Check each particle against the later particles in its own
+  // and neighboring chunks, so that every pair is only handled once.
+  let joined = this.constrainedNeighbors();
+  for (let i = 0; i < particles.length; i++) {
+    let near = joined.get(particles[i]);
+    let x = coords[3 * i];
+    let y = coords[3 * i + 1];
+    let z = coords[3 * i + 2];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          let chunk = chunks.get(spatialHashKey(x + dx, y + dy, z + dz));
+          if (chunk === undefined) continue;
+          for (let j of chunk) {
+            if (j > i) repelParticles(particles[i], particles[j], thickness, near);
+          }
+        }
+      }
+    }
+  }
 };
+
+// Reference implementation of handleSelfIntersections that checks every
+// pair of particles in quadratic time.
+Cloth.prototype.handleSelfIntersectionsBruteForce = function() {
+  let particles = this.particles;
+  const thickness = this.params.selfIntersectionThickness;
+  let joined = this.constrainedNeighbors();
+  for (let i = 0; i < particles.length; i++) {
+    let near = joined.get(particles[i]);
+    for (let j = i + 1; j < particles.length; j++) {
+      repelParticles(particles[i], particles[j], thickness, near);
+    }
+  }
+};
+
+// Returns a Map from each particle to the Set of particles it is joined to
+// by a constraint. Self-intersection handling leaves those pairs to their
+// constraints, which would otherwise be fought whenever the thickness is
+// more than their rest distance, e.g. at a small restDistance.
+// The sets are only rebuilt once this.constraints has been replaced (e.g. by
+// tearing), since it is never changed in place.
+Cloth.prototype.constrainedNeighbors = function() {
+  if (!this.neighbors || this.neighbors.constraints !== this.constraints) {
+    let joined = new Map();
+    for (let particle of this.particles) {
+      joined.set(particle, new Set());
+    }
+    for (let constraint of this.constraints) {
+      joined.get(constraint.p1).add(constraint.p2);
+      joined.get(constraint.p2).add(constraint.p1);
+    }
+    this.neighbors = { constraints: this.constraints, joined: joined };
+  }
+  return this.neighbors.joined;
+};
+
+// If the two particles are closer than the given distance, push them apart
+// along the line between them until they are exactly that far apart, unless
+// p2 is one of the particles joined to p1 (see constrainedNeighbors).
+// This is Constraint.prototype.enforce in the opposite direction, and likewise
+// splits the correction in proportion to the particles' inverse masses.
+function repelParticles(p1, p2, distance, joined) {
+  let w1 = p1.invMass;
+  let w2 = p2.invMass;
+  let a = p1.position;
+  let b = p2.position;
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  let dz = b.z - a.z;
+  let distSq = dx * dx + dy * dy + dz * dz;
+  // Coincident particles have no direction to be pushed apart in.
+  if (distSq >= distance * distance || distSq === 0 || w1 + w2 === 0) return;
+  if (joined.has(p2)) return;
+
+  let dist = Math.sqrt(distSq);
+  let scale = (distance - dist) / ((w1 + w2) * dist);
+  a.x -= dx * scale * w1;
+  a.y -= dy * scale * w1;
+  a.z -= dz * scale * w1;
+  b.x += dx * scale * w2;
+  b.y += dy * scale * w2;
+  b.z += dz * scale * w2;
+}
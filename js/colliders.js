@@ -0,0 +1,198 @@
+"use strict";
+
+/*************************** COLLIDER REGISTRY ***************************/
+// ColliderRegistry constructor
+// Parameters:
+//   floorY: (Number) the height of the floor
+//
+// A collider registry holds every object in the scene that the cloth collides
+// with. Any number of spheres, boxes, capsules, cylinders, tori, planes and
+// triangle meshes can be added to it, removed from it, and moved around; the
+// floor is always there. It has the following properties:
+//   this.floor: the floor, which can't be removed
+//   this.list: (Object[]) every collider, starting with the floor, in the
+//      order they were added. Each collider is a plain object with properties:
+//      - type: String - "floor", "sphere", "box", "capsule", "cylinder",
+//        "torus", "plane" or "mesh", which picks the
+//        Particle.prototype.handle*Collision that handles it
+//      - enabled: boolean - whether the collider is present in the scene
+//      - position: THREE.Vector3 - where the collider is in this frame
+//      - prevPosition: THREE.Vector3 - where it was in the previous frame
+//      - quaternion, prevQuaternion: THREE.Quaternion - for the colliders
+//        that can be rotated (boxes), the same for their rotation
+//      - motion: function - optionally, moves the collider over time; see move
+//      and the properties of its type; see the matching add* function
+function ColliderRegistry(floorY) {
+  this.list = [];
+  this.floor = this.add({
+    type: "floor",
+    position: new THREE.Vector3(0, floorY, 0),
+  });
+}
+
+// Add a collider to the registry, and return it.
+// Params:
+// * collider: Object - see ColliderRegistry; enabled defaults to true,
+//      prevPosition to position, and prevQuaternion to quaternion
+ColliderRegistry.prototype.add = function(collider) {
+  if (collider.enabled === undefined) collider.enabled = true;
+  if (collider.prevPosition === undefined) {
+    collider.prevPosition = collider.position.clone();
+  }
+  if (collider.quaternion && collider.prevQuaternion === undefined) {
+    collider.prevQuaternion = collider.quaternion.clone();
+  }
+  this.list.push(collider);
+  return collider;
+};
+
+// Remove a collider from the registry. Returns whether it was there.
+// Params:
+// * collider: Object - a collider returned by add or one of the add* functions
+ColliderRegistry.prototype.remove = function(collider) {
+  let index = this.list.indexOf(collider);
+  if (index < 0 || collider === this.floor) return false;
+  this.list.splice(index, 1);
+  return true;
+};
+
+// Remove every collider except the floor.
+ColliderRegistry.prototype.clear = function() {
+  this.list = [this.floor];
+};
+
+// Return every collider of the given type.
+ColliderRegistry.prototype.ofType = function(type) {
+  return this.list.filter(function(collider) {
+    return collider.type === type;
+  });
+};
+
+// Put a collider at a new position (and rotation), without it having moved
+// there during the last frame (so friction doesn't drag the cloth along
+// with it).
+// Params:
+// * collider: Object - a collider in the registry
+// * position: THREE.Vector3 - where to put it
+// * quaternion: THREE.Quaternion - optionally, for a collider that can be
+//      rotated, how to rotate it
+ColliderRegistry.prototype.moveTo = function(collider, position, quaternion) {
+  collider.position.copy(position);
+  collider.prevPosition.copy(position);
+  if (quaternion) {
+    collider.quaternion.copy(quaternion);
+    collider.prevQuaternion.copy(quaternion);
+  }
+};
+
+// Move every collider that has a motion to where it is at the given time.
+// A motion is a function(time, collider), which sets the collider's position
+// (and quaternion, if it can be rotated) to where it should be at time, in
+// milliseconds.
+ColliderRegistry.prototype.move = function(time) {
+  for (let collider of this.list) {
+    if (!collider.motion) continue;
+    collider.prevPosition.copy(collider.position);
+    if (collider.quaternion) collider.prevQuaternion.copy(collider.quaternion);
+    collider.motion(time, collider);
+  }
+};
+
+// Add a sphere, and return it.
+// Params:
+// * center: THREE.Vector3 - the center of the sphere
+// * radius: Number - the radius of the sphere
+ColliderRegistry.prototype.addSphere = function(center, radius) {
+  return this.add({
+    type: "sphere",
+    position: center.clone(),
+    radius: radius,
+  });
+};
+
+// Add a box, and return it.
+// Params:
+// * center: THREE.Vector3 - the center of the box
+// * size: THREE.Vector3 - the width, height and depth of the box
+// * rotation: THREE.Euler - optionally, how to rotate the box about its
+//      center; by default it is axis-aligned
+ColliderRegistry.prototype.addBox = function(center, size, rotation) {
+  let quaternion = new THREE.Quaternion();
+  if (rotation) quaternion.setFromEuler(rotation);
+  return this.add({
+    type: "box",
+    position: center.clone(),
+    quaternion: quaternion,
+    size: size.clone(),
+  });
+};
+
+// Add a capsule (the points within radius of a segment), and return it.
+// Params:
+// * start, end: THREE.Vector3 - the ends of the segment
+// * radius: Number - the radius of the capsule
+ColliderRegistry.prototype.addCapsule = function(start, end, radius) {
+  return this.add({
+    type: "capsule",
+    position: new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5),
+    // From the center to the end of the segment
+    axis: new THREE.Vector3().subVectors(end, start).multiplyScalar(0.5),
+    radius: radius,
+  });
+};
+
+// Add a solid cylinder, with flat ends, and return it.
+// Params:
+// * start, end: THREE.Vector3 - the centers of the ends
+// * radius: Number - the radius of the cylinder
+ColliderRegistry.prototype.addCylinder = function(start, end, radius) {
+  return this.add({
+    type: "cylinder",
+    position: new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5),
+    // From the center to the center of the end
+    axis: new THREE.Vector3().subVectors(end, start).multiplyScalar(0.5),
+    radius: radius,
+  });
+};
+
+// Add a solid torus, and return it.
+// Params:
+// * center: THREE.Vector3 - the center of the torus
+// * axis: THREE.Vector3 - the direction the torus is around
+// * radius: Number - from the center of the torus to the center of its tube
+// * tube: Number - the radius of the tube
+ColliderRegistry.prototype.addTorus = function(center, axis, radius, tube) {
+  return this.add({
+    type: "torus",
+    position: center.clone(),
+    axis: axis.clone().normalize(),
+    radius: radius,
+    tube: tube,
+  });
+};
+
+// Add an infinite plane, which the cloth stays in front of, and return it.
+// Params:
+// * point: THREE.Vector3 - any point on the plane
+// * normal: THREE.Vector3 - the direction the plane faces
+ColliderRegistry.prototype.addPlane = function(point, normal) {
+  return this.add({
+    type: "plane",
+    position: point.clone(),
+    normal: normal.clone().normalize(),
+  });
+};
+
+// Add a closed triangle mesh, and return it.
+// Params:
+// * geometry: THREE.Geometry or THREE.BufferGeometry - the mesh, with its
+//      triangles facing outwards, and its vertices relative to its position,
+//      which starts at the origin
+ColliderRegistry.prototype.addMesh = function(geometry) {
+  return this.add({
+    type: "mesh",
+    position: new THREE.Vector3(),
+    geometry: geometry,
+    bvh: new BVH(geometry),
+  });
+};
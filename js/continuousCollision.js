@@ -0,0 +1,463 @@
+"use strict";
+
+/********************* CONTINUOUS SELF COLLISION *********************/
+// Particle repulsion (Cloth.prototype.handleSelfIntersections) only keeps the
+// particles of the cloth apart, so a fold of the cloth can still slip through
+// the middle of a triangle or between two edges. This pass works on the
+// triangles of the cloth (the same faces as the rendered geometry) instead:
+//
+//  (1) Vertex-triangle and edge-edge pairs that might touch during this
+//      timestep are found with a spatial hash over the boxes swept by each
+//      particle, edge and triangle between its previous and current position.
+//  (2) Each pair is tested for a crossing: the time within the timestep at
+//      which its 4 points become coplanar is found by solving a cubic, and at
+//      that time the vertex must lie inside the triangle / the edges must meet.
+//      Pairs that end the timestep closer than the cloth thickness count too.
+//  (3) Colliding pairs are pushed apart along the contact normal, back to the
+//      side they started the timestep on, to a distance of the thickness,
+//      and their relative sliding along the contact is reduced by friction.
+//  (4) Pushing one pair apart can push another pair together, so this is
+//      repeated until no pair collides, or for at most MAX_PASSES passes.
+
+const MAX_PASSES = 4;
+
+// Handle collisions of the cloth with itself at the level of its triangles,
+// using the motion of every particle from `previous` to `position`.
+Cloth.prototype.handleContinuousSelfCollisions = function() {
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    if (this.handleContinuousSelfCollisionsOnce() == 0) return;
+  }
+};
+
+// Perform a single pass of handleContinuousSelfCollisions, and return the
+// number of colliding pairs that were found.
+Cloth.prototype.handleContinuousSelfCollisionsOnce = function() {
+  let particles = this.particles;
+  let faces = this.faces;
+  let edges = this.getEdges();
+  const thickness = this.params.selfCollisionThickness;
+  const friction = this.params.friction;
+  const cellSize = this.restDistance;
+
+  let collisions = 0;
+
+  // Vertex-triangle pairs
+  let faceBoxes = [];
+  let faceGrid = new SweptGrid(cellSize, faces.length);
+  for (let f = 0; f < faces.length; f++) {
+    let face = faces[f];
+    let box = sweptBox([particles[face.a], particles[face.b], particles[face.c]], thickness);
+    faceBoxes.push(box);
+    faceGrid.insert(box, f);
+  }
+
+  for (let i = 0; i < particles.length; i++) {
+    let particle = particles[i];
+    let box = sweptBox([particle], thickness);
+    faceGrid.query(box, function(f) {
+      let face = faces[f];
+      if (face.a === i || face.b === i || face.c === i) return;
+      if (!box.intersectsBox(faceBoxes[f])) return;
+      if (collideVertexTriangle(particle, particles[face.a], particles[face.b], particles[face.c], thickness, friction)) {
+        collisions++;
+      }
+    });
+  }
+
+  // Edge-edge pairs, with boxes swept by the already corrected positions
+  let edgeBoxes = [];
+  let edgeGrid = new SweptGrid(cellSize, edges.length);
+  for (let e = 0; e < edges.length; e++) {
+    let box = sweptBox([particles[edges[e][0]], particles[edges[e][1]]], thickness);
+    edgeBoxes.push(box);
+    edgeGrid.insert(box, e);
+  }
+
+  for (let e = 0; e < edges.length; e++) {
+    let [a1, a2] = edges[e];
+    let box = edgeBoxes[e];
+    edgeGrid.query(box, function(other) {
+      if (other <= e) return;
+      let [b1, b2] = edges[other];
+      if (a1 === b1 || a1 === b2 || a2 === b1 || a2 === b2) return;
+      if (!box.intersectsBox(edgeBoxes[other])) return;
+      if (collideEdgeEdge(particles[a1], particles[a2], particles[b1], particles[b2], thickness, friction)) {
+        collisions++;
+      }
+    });
+  }
+  return collisions;
+};
+
+// Return the edges of the cloth's faces as [index, index] pairs of
+// particles, each edge listed once.
+Cloth.prototype.getEdges = function() {
+  if (this.edges) return this.edges;
+
+  let edges = [];
+  let seen = new Set();
+  let n = this.particles.length;
+  for (let face of this.faces) {
+    for (let [i, j] of [[face.a, face.b], [face.b, face.c], [face.c, face.a]]) {
+      let key = Math.min(i, j) * n + Math.max(i, j);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push([i, j]);
+    }
+  }
+  this.edges = edges;
+  return edges;
+};
+
+/************************** BROAD PHASE **************************/
+// A uniform grid of cubic cells, each listing the items whose boxes overlap it.
+// Params:
+// * cellSize: Number - the side of each cell
+// * count: int - the number of items that will be inserted
+function SweptGrid(cellSize, count) {
+  this.cellSize = cellSize;
+  this.cells = new Map();
+  // Stamps used to report each item only once per query
+  this.visited = new Int32Array(count);
+  this.queryId = 0;
+}
+
+// Call f(key) with the key of every cell that the box overlaps.
+SweptGrid.prototype.forEachCell = function(box, f) {
+  const size = this.cellSize;
+  let x0 = Math.floor(box.min.x / size), x1 = Math.floor(box.max.x / size);
+  let y0 = Math.floor(box.min.y / size), y1 = Math.floor(box.max.y / size);
+  let z0 = Math.floor(box.min.z / size), z1 = Math.floor(box.max.z / size);
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) {
+      for (let z = z0; z <= z1; z++) {
+        f(spatialHashKey(x, y, z));
+      }
+    }
+  }
+};
+
+// Add the item (an integer id) to every cell that the box overlaps.
+SweptGrid.prototype.insert = function(box, item) {
+  let cells = this.cells;
+  this.forEachCell(box, function(key) {
+    let cell = cells.get(key);
+    if (cell === undefined) {
+      cell = [];
+      cells.set(key, cell);
+    }
+    cell.push(item);
+  });
+};
+
+// Call f(item) once for every item sharing a cell with the box.
+SweptGrid.prototype.query = function(box, f) {
+  let cells = this.cells;
+  let visited = this.visited;
+  let id = ++this.queryId;
+  this.forEachCell(box, function(key) {
+    let cell = cells.get(key);
+    if (cell === undefined) return;
+    for (let item of cell) {
+      if (visited[item] === id) continue;
+      visited[item] = id;
+      f(item);
+    }
+  });
+};
+
+// Return the THREE.Box3 containing the previous and current positions of
+// all of the given particles, expanded by margin.
+function sweptBox(particles, margin) {
+  let box = new THREE.Box3();
+  for (let particle of particles) {
+    box.expandByPoint(particle.previous);
+    box.expandByPoint(particle.position);
+  }
+  return box.expandByScalar(margin);
+}
+
+/************************** NARROW PHASE **************************/
+// Fraction of the thickness within which points count as touching
+// when testing for a crossing.
+const CROSSING_TOLERANCE = 1e-3;
+
+// The narrow phase runs for tens of thousands of pairs every timestep, so it
+// works in these preallocated vectors rather than allocating new ones.
+const narrowPhase = {
+  a0: new THREE.Vector3(), a1: new THREE.Vector3(),
+  b0: new THREE.Vector3(), b1: new THREE.Vector3(),
+  c0: new THREE.Vector3(), c1: new THREE.Vector3(),
+  cross: new THREE.Vector3(),
+  ab0: new THREE.Vector3(), ab1: new THREE.Vector3(), ab2: new THREE.Vector3(),
+  d1: new THREE.Vector3(), d2: new THREE.Vector3(), r: new THREE.Vector3(),
+  points: [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()],
+  closest: new THREE.Vector3(),
+  barycoord: new THREE.Vector3(),
+  triangle: new THREE.Triangle(),
+  startTriangle: new THREE.Triangle(),
+  normal: new THREE.Vector3(),
+  startNormal: new THREE.Vector3(),
+  separation: new THREE.Vector3(),
+  startSeparation: new THREE.Vector3(),
+  motion: new THREE.Vector3(),
+  correction: new THREE.Vector3(),
+  params: [0, 0],
+};
+
+// Return the times t in [0, 1], in increasing order, at which the points of
+// the 4 particles are coplanar, when each moves linearly from `previous`
+// (t = 0) to `position` (t = 1).
+function coplanarTimes(p0, p1, p2, p3) {
+  // With x_i(t) = previous_i + t * (position_i - previous_i), the points are
+  // coplanar when (x1 - x0) x (x2 - x0) . (x3 - x0) = 0, a cubic in t.
+  let { a0, a1, b0, b1, c0, c1, cross, ab0, ab1, ab2 } = narrowPhase;
+  a0.subVectors(p1.previous, p0.previous);
+  b0.subVectors(p2.previous, p0.previous);
+  c0.subVectors(p3.previous, p0.previous);
+  a1.subVectors(p1.position, p0.position).sub(a0);
+  b1.subVectors(p2.position, p0.position).sub(b0);
+  c1.subVectors(p3.position, p0.position).sub(c0);
+
+  ab0.crossVectors(a0, b0);
+  ab1.crossVectors(a0, b1).add(cross.crossVectors(a1, b0));
+  ab2.crossVectors(a1, b1);
+
+  let k0 = ab0.dot(c0);
+  let k1 = ab0.dot(c1) + ab1.dot(c0);
+  let k2 = ab1.dot(c1) + ab2.dot(c0);
+  let k3 = ab2.dot(c1);
+  let f = function(t) {
+    return ((k3 * t + k2) * t + k1) * t + k0;
+  };
+  let tolerance = 1e-12 * (Math.abs(k0) + Math.abs(k1) + Math.abs(k2) + Math.abs(k3));
+
+  // Split [0, 1] into intervals on which the cubic is monotonic, at the
+  // roots of its derivative 3 k3 t^2 + 2 k2 t + k1.
+  let bounds = [0];
+  let qa = 3 * k3, qb = 2 * k2, qc = k1;
+  if (qa !== 0) {
+    let disc = qb * qb - 4 * qa * qc;
+    if (disc > 0) {
+      let sq = Math.sqrt(disc);
+      let r1 = (-qb - sq) / (2 * qa);
+      let r2 = (-qb + sq) / (2 * qa);
+      for (let r of [Math.min(r1, r2), Math.max(r1, r2)]) {
+        if (r > 0 && r < 1) bounds.push(r);
+      }
+    }
+  } else if (qb !== 0) {
+    let r = -qc / qb;
+    if (r > 0 && r < 1) bounds.push(r);
+  }
+  bounds.push(1);
+
+  // Find the root in each interval by bisection.
+  let times = [];
+  for (let i = 0; i + 1 < bounds.length; i++) {
+    let lo = bounds[i], hi = bounds[i + 1];
+    let flo = f(lo), fhi = f(hi);
+    if (Math.abs(flo) <= tolerance) {
+      times.push(lo);
+      continue;
+    }
+    if (flo * fhi > 0) continue;
+    for (let iteration = 0; iteration < 50; iteration++) {
+      let mid = (lo + hi) / 2;
+      let fmid = f(mid);
+      if (fmid * flo > 0) {
+        lo = mid;
+        flo = fmid;
+      } else {
+        hi = mid;
+      }
+    }
+    times.push(hi);
+  }
+  if (Math.abs(f(1)) <= tolerance) times.push(1);
+  return times;
+}
+
+// Set the given points to the positions of the particles at time t in [0, 1]
+// of this timestep, or to their `previous` / `position` if t is 0 / 1.
+function positionsAt(particles, t, points) {
+  for (let i = 0; i < particles.length; i++) {
+    points[i].lerpVectors(particles[i].previous, particles[i].position, t);
+  }
+  return points;
+}
+
+// Return the parameters [s, u] of the closest points p1 + s (q1 - p1) and
+// p2 + u (q2 - p2) between two segments, from Ericson's Real-Time Collision
+// Detection, section 5.1.9.
+function closestSegmentParams(p1, q1, p2, q2) {
+  let { d1, d2, r, params } = narrowPhase;
+  d1.subVectors(q1, p1);
+  d2.subVectors(q2, p2);
+  r.subVectors(p1, p2);
+  let a = d1.dot(d1), e = d2.dot(d2), f = d2.dot(r);
+  let clamp = THREE.Math.clamp;
+  const EPS = 1e-12;
+
+  let s = 0, u = 0;
+  if (a <= EPS && e <= EPS) {
+    s = u = 0;
+  } else if (a <= EPS) {
+    u = clamp(f / e, 0, 1);
+  } else {
+    let c = d1.dot(r);
+    if (e <= EPS) {
+      s = clamp(-c / a, 0, 1);
+    } else {
+      let b = d1.dot(d2);
+      let denom = a * e - b * b;
+      s = denom !== 0 ? clamp((b * f - c * e) / denom, 0, 1) : 0;
+      u = (b * s + f) / e;
+      if (u < 0) {
+        u = 0;
+        s = clamp(-c / a, 0, 1);
+      } else if (u > 1) {
+        u = 1;
+        s = clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+  params[0] = s;
+  params[1] = u;
+  return params;
+}
+
+// Set target to the sum of the given vectors, each scaled by the matching weight.
+function weightedSum(vectors, weights, target) {
+  target.set(0, 0, 0);
+  for (let i = 0; i < vectors.length; i++) {
+    target.addScaledVector(vectors[i], weights[i]);
+  }
+  return target;
+}
+
+// Return the weights [1, -wa, -wb, -wc] of the vertex and the triangle
+// (a, b, c), where (wa, wb, wc) are the barycentric coordinates of the point
+// of the triangle closest to the vertex, so that the weighted sum of the
+// 4 points is the separation of the vertex from the triangle.
+function vertexTriangleWeights(points) {
+  let { triangle, closest, barycoord } = narrowPhase;
+  triangle.set(points[1], points[2], points[3]);
+  triangle.closestPointToPoint(points[0], closest);
+  triangle.getBarycoord(closest, barycoord);
+  return [1, -barycoord.x, -barycoord.y, -barycoord.z];
+}
+
+// Return the weights [1 - s, s, u - 1, -u] of the edges (a1, a2) and (b1, b2),
+// where s and u locate their closest points, so that the weighted sum of the
+// 4 points is the separation of the two edges.
+function edgeEdgeWeights(points) {
+  let [s, u] = closestSegmentParams(points[0], points[1], points[2], points[3]);
+  return [1 - s, s, u - 1, -u];
+}
+
+// Handle a collision between particle p and the triangle (a, b, c).
+// Returns whether they collided.
+function collideVertexTriangle(p, a, b, c, thickness, friction) {
+  let { points, separation, startSeparation, normal, startNormal, startTriangle } = narrowPhase;
+  let particles = [p, a, b, c];
+
+  // (2) Look for a time in this timestep when p passes through the triangle
+  let crossed = false;
+  for (let t of coplanarTimes(a, b, c, p)) {
+    positionsAt(particles, t, points);
+    let weights = vertexTriangleWeights(points);
+    if (weightedSum(points, weights, separation).length() <= CROSSING_TOLERANCE * thickness) {
+      crossed = true;
+      break;
+    }
+  }
+
+  // Otherwise, there is only a collision if p ends up too close to the triangle
+  positionsAt(particles, 1, points);
+  let weights = vertexTriangleWeights(points);
+  weightedSum(points, weights, separation);
+  if (!crossed && separation.length() >= thickness) return false;
+
+  // (3) The normal points towards the side p started the timestep on
+  narrowPhase.triangle.getNormal(normal);
+  let side = separation.dot(normal);
+  if (crossed) {
+    startTriangle.set(a.previous, b.previous, c.previous).getNormal(startNormal);
+    side = startNormal.dot(startSeparation.subVectors(p.previous, a.previous));
+  }
+  if (side < 0) normal.negate();
+
+  return resolveContact(particles, weights, normal, thickness, friction);
+}
+
+// Handle a collision between the edge (a1, a2) and the edge (b1, b2).
+// Returns whether they collided.
+function collideEdgeEdge(a1, a2, b1, b2, thickness, friction) {
+  let { points, separation, startSeparation, normal, d1, d2 } = narrowPhase;
+  let particles = [a1, a2, b1, b2];
+
+  // (2) Look for a time in this timestep when the edges pass through each other
+  let crossed = false;
+  for (let t of coplanarTimes(a1, a2, b1, b2)) {
+    positionsAt(particles, t, points);
+    let weights = edgeEdgeWeights(points);
+    if (weightedSum(points, weights, separation).length() <= CROSSING_TOLERANCE * thickness) {
+      crossed = true;
+      break;
+    }
+  }
+
+  // Otherwise, there is only a collision if the edges end up too close
+  positionsAt(particles, 1, points);
+  let weights = edgeEdgeWeights(points);
+  weightedSum(points, weights, separation);
+  if (!crossed && separation.length() >= thickness) return false;
+
+  // (3) The normal is perpendicular to both edges, and points from edge b
+  // towards edge a as they were at the start of the timestep
+  let side = separation;
+  if (crossed) {
+    positionsAt(particles, 0, points);
+    side = weightedSum(points, weights, startSeparation);
+  }
+  normal.crossVectors(d1.subVectors(a2.position, a1.position), d2.subVectors(b2.position, b1.position));
+  if (normal.lengthSq() === 0) normal.copy(side);
+  normal.normalize();
+  if (normal.dot(side) < 0) normal.negate();
+
+  return resolveContact(particles, weights, normal, thickness, friction);
+}
+
+// Move the given particles so that their weighted sum (the separation of
+// the two colliding elements) has a component of `thickness` along the
+// normal, and its motion along the contact is reduced by friction.
+// 0 = frictionless, 1 = the elements stick together.
+// Returns whether the particles had to be moved.
+function resolveContact(particles, weights, normal, thickness, friction) {
+  let { separation, motion, correction } = narrowPhase;
+  let depth = thickness - separation.dot(normal);
+  if (depth <= 0) return false;
+
+  // Relative motion of the two elements during this timestep, along the contact
+  motion.set(0, 0, 0);
+  for (let i = 0; i < particles.length; i++) {
+    motion.addScaledVector(particles[i].position, weights[i]);
+    motion.addScaledVector(particles[i].previous, -weights[i]);
+  }
+  motion.addScaledVector(normal, -motion.dot(normal));
+
+  // Split the correction between the particles in proportion to their weights
+  // and inverse masses, so that the weighted sum changes by exactly the
+  // correction while heavier particles move less, and pinned ones not at all.
+  let sumSq = 0;
+  for (let i = 0; i < particles.length; i++) {
+    sumSq += weights[i] * weights[i] * particles[i].invMass;
+  }
+  if (sumSq === 0) return false;
+  correction.copy(normal).multiplyScalar(depth).addScaledVector(motion, -friction);
+  for (let i = 0; i < particles.length; i++) {
+    particles[i].position.addScaledVector(correction, weights[i] * particles[i].invMass / sumSq);
+  }
+  return true;
+}
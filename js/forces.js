@@ -0,0 +1,206 @@
+"use strict";
+
+/******************************** FORCES ********************************/
+// Forces is a registry of plugin forces, which push on the particles of the
+// cloth alongside gravity and the wind (see Cloth.prototype.applyForces).
+// Add a new effect by registering it here, or from a script loaded before
+// coursejs/guiConfig.js, rather than editing cloth.js.
+//
+// Each force has the following properties:
+//   name: (string) the label of its checkbox in the GUI
+//   param: (string) the boolean field of Params that turns it on
+//   folderName: (string) optionally, the GUI folder its controls go in;
+//      defaults to "Forces"
+//   params: (Array) its parameters, each with the following properties:
+//      param: (string) the field of Params that holds it
+//      name: (string) the label of its slider in the GUI
+//      value: (number) its default value
+//      range: ([min, max, step]) the range of its slider
+//   apply: (function(cloth, time, deltaT)) add the force to the netForce of
+//      the cloth's particles, reading its parameters from cloth.params, at
+//      the simulation time (in milliseconds) over a step of deltaT seconds
+//
+// Registering a force adds its parameters to every Params, so they get
+// sliders (see GuiConfig.forceDefs) and are stored in the URL like any other
+// parameter. Forces only depend on the time and the state of the cloth, so
+// stepping back and forth in time replays them exactly.
+var Forces = {};
+
+// The registered forces, in the order they are applied
+Forces.list = [];
+
+// Register a force, and return it.
+// Params:
+// * force: Object - the force, with the properties described above
+Forces.register = function(force) {
+  Forces.list.push(force);
+  Forces.addDefaults(DefaultParams, force);
+  Forces.addDefaults(SceneParams, force);
+  return force;
+};
+
+// Give a Params the default values of the parameters of the registered
+// forces, or of just one force, keeping any values it already has.
+// Params:
+// * params: Params - the parameters to add to
+// * force: Object - optionally, the only force to add the parameters of
+Forces.addDefaults = function(params, force) {
+  let forces = force === undefined ? Forces.list : [force];
+  for (let f of forces) {
+    if (params[f.param] === undefined) params[f.param] = false;
+    for (let p of f.params) {
+      if (params[p.param] === undefined) params[p.param] = p.value;
+    }
+  }
+};
+
+// Apply every registered force that is turned on to the cloth.
+// Params:
+// * cloth: Cloth - the cloth to push on
+// * time: Number - the simulation time in milliseconds
+// * deltaT: Number - the length of the step the forces are applied over,
+//      in seconds
+Forces.apply = function(cloth, time, deltaT) {
+  for (let force of Forces.list) {
+    if (cloth.params[force.param]) force.apply(cloth, time, deltaT);
+  }
+};
+
+// Helpers for the built-in forces:
+// Return the point (x, y, z) given by three parameters of params, named
+// prefix + "X", prefix + "Y" and prefix + "Z".
+function forcePoint(params, prefix) {
+  return new THREE.Vector3(params[prefix + "X"], params[prefix + "Y"], params[prefix + "Z"]);
+}
+
+// Return the parameters for the coordinates of a point, as declared by a
+// force, with the given prefix and label, starting at the point (x, y, z).
+function forcePointParams(prefix, label, x, y, z) {
+  return [
+    { param: prefix + "X", name: label + " x", value: x, range: [-500, 500, 1] },
+    { param: prefix + "Y", name: label + " y", value: y, range: [-500, 500, 1] },
+    { param: prefix + "Z", name: label + " z", value: z, range: [-500, 500, 1] },
+  ];
+}
+
+// Pulls every particle towards a point with an acceleration of
+// attractorStrength within attractorRadius of it, falling off with the
+// inverse square of the distance beyond. A negative strength pushes the
+// particles away instead.
+Forces.attractor = Forces.register({
+  name: "attractor",
+  param: "attractor",
+  folderName: "Attractor",
+  params: [
+    { param: "attractorStrength", name: "strength", value: 2000, range: [-5000, 5000, 10] },
+    { param: "attractorRadius", name: "radius", value: 100, range: [10, 500, 1] },
+  ].concat(forcePointParams("attractor", "center", 0, 300, 0)),
+  apply: function(cloth, time, deltaT) {
+    let params = cloth.params;
+    let center = forcePoint(params, "attractor");
+    let radius = params.attractorRadius;
+    let force = new THREE.Vector3();
+    for (let particle of cloth.particles) {
+      force.subVectors(center, particle.position);
+      let distance = force.length();
+      if (distance === 0) continue;
+      let falloff = distance <= radius ? 1 : (radius * radius) / (distance * distance);
+      force.multiplyScalar(params.attractorStrength * falloff * particle.mass / distance);
+      particle.addForce(force);
+    }
+  },
+});
+
+// Swirls every particle around a vertical axis, counterclockwise seen from
+// above, like a Rankine vortex: the acceleration grows from nothing on the
+// axis to vortexStrength at vortexRadius from it, and falls off in inverse
+// proportion to the distance beyond.
+Forces.vortex = Forces.register({
+  name: "vortex",
+  param: "vortex",
+  folderName: "Vortex",
+  params: [
+    { param: "vortexStrength", name: "strength", value: 1500, range: [-5000, 5000, 10] },
+    { param: "vortexRadius", name: "radius", value: 150, range: [10, 500, 1] },
+    { param: "vortexX", name: "axis x", value: 0, range: [-500, 500, 1] },
+    { param: "vortexZ", name: "axis z", value: 0, range: [-500, 500, 1] },
+  ],
+  apply: function(cloth, time, deltaT) {
+    let params = cloth.params;
+    let radius = params.vortexRadius;
+    let force = new THREE.Vector3();
+    for (let particle of cloth.particles) {
+      let x = particle.position.x - params.vortexX;
+      let z = particle.position.z - params.vortexZ;
+      let distance = Math.sqrt(x * x + z * z);
+      if (distance === 0) continue;
+      let falloff = distance <= radius ? distance / radius : radius / distance;
+      // The tangent (z, -x) / distance turns from +x towards -z
+      force.set(z, 0, -x).multiplyScalar(params.vortexStrength * falloff * particle.mass / distance);
+      particle.addForce(force);
+    }
+  },
+});
+
+// Bursts out of a point every explosionInterval seconds, pushing every
+// particle straight away from it. The push starts at explosionStrength and
+// fades out over explosionDuration seconds, and falls off with distance
+// beyond explosionRadius like the attractor's.
+Forces.explosion = Forces.register({
+  name: "explosion",
+  param: "explosion",
+  folderName: "Explosion",
+  params: [
+    { param: "explosionStrength", name: "strength", value: 10000, range: [0, 50000, 100] },
+    { param: "explosionRadius", name: "radius", value: 150, range: [10, 500, 1] },
+    { param: "explosionInterval", name: "interval", value: 3, range: [0.5, 20, 0.1] },
+    { param: "explosionDuration", name: "duration", value: 0.1, range: [0.01, 1, 0.01] },
+  ].concat(forcePointParams("explosion", "center", 0, 0, 0)),
+  apply: function(cloth, time, deltaT) {
+    let params = cloth.params;
+    // How long ago the last burst went off, in seconds
+    let age = (time / 1000) % params.explosionInterval;
+    if (age >= params.explosionDuration) return;
+    let strength = params.explosionStrength * (1 - age / params.explosionDuration);
+
+    let center = forcePoint(params, "explosion");
+    let radius = params.explosionRadius;
+    let force = new THREE.Vector3();
+    for (let particle of cloth.particles) {
+      force.subVectors(particle.position, center);
+      let distance = force.length();
+      if (distance === 0) continue;
+      let falloff = distance <= radius ? 1 : (radius * radius) / (distance * distance);
+      force.multiplyScalar(strength * falloff * particle.mass / distance);
+      particle.addForce(force);
+    }
+  },
+});
+
+// Pulls every particle towards a target, its original position moved by an
+// offset, with a damped spring: the acceleration is springTargetStiffness
+// times the distance to the target, less springTargetDamping times the
+// particle's velocity.
+Forces.springToTarget = Forces.register({
+  name: "spring to target",
+  param: "springTarget",
+  folderName: "Spring to target",
+  params: [
+    { param: "springTargetStiffness", name: "stiffness", value: 20, range: [0, 200, 0.5] },
+    { param: "springTargetDamping", name: "damping", value: 2, range: [0, 20, 0.1] },
+  ].concat(forcePointParams("springTarget", "offset", 0, 100, 0)),
+  apply: function(cloth, time, deltaT) {
+    let params = cloth.params;
+    let offset = forcePoint(params, "springTarget");
+    let force = new THREE.Vector3();
+    let velocity = new THREE.Vector3();
+    for (let particle of cloth.particles) {
+      velocity.subVectors(particle.position, particle.previous).divideScalar(deltaT);
+      force.addVectors(particle.original, offset).sub(particle.position)
+        .multiplyScalar(params.springTargetStiffness)
+        .addScaledVector(velocity, -params.springTargetDamping)
+        .multiplyScalar(particle.mass);
+      particle.addForce(force);
+    }
+  },
+});
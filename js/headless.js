@@ -0,0 +1,55 @@
+"use strict";
+
+// Loads the simulation core into Node, with no DOM and no WebGL, so that
+// scenarios can be batch-run and the physics unit-tested without a browser.
+//
+// The simulation files are plain browser scripts that share globals, so they
+// are evaluated in order inside one shared function scope, just like
+// index.html loads them into one page. That scope is kept separate from
+// Node's own globals.
+//
+// Usage:
+//   const { Params, Simulation } = require("./js/headless.js");
+//   let params = new Params();
+//   params.pinned = "OneEdge";
+//   params.update(); // recompute derived values such as xSegs and ySegs
+//   let simulation = new Simulation(params);
+//   for (let frame = 0; frame < 100; frame++) {
+//     simulation.run(30); // 30 ms frames, run in steps of params.TIMESTEP
+//   }
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const root = path.join(__dirname, "..");
+
+const scripts = [
+  "coursejs/params.js",
+  "js/particle.js",
+  "js/bvh.js",
+  "js/colliders.js",
+  "js/windField.js",
+  "js/panel.js",
+  "js/cloth.js",
+  "js/forces.js",
+  "js/integrators.js",
+  "js/continuousCollision.js",
+  "js/rain.js",
+  "js/stateHistory.js",
+  "js/simulation.js",
+];
+
+const THREE = require("../libjs/three.min.js");
+
+let source = scripts.map(function(script) {
+  return fs.readFileSync(path.join(root, script), "utf8");
+}).join("\n");
+
+let load = vm.runInThisContext(
+  "(function(THREE) {\n\"use strict\";\n" + source +
+  "\nreturn { THREE, Params, BVH, ColliderRegistry, Particle, Constraint, WindField, Panel, Cloth, Forces, Integrators, Rain, StateHistory, Simulation };\n})",
+  { filename: path.join(__dirname, "headless.js") }
+);
+
+module.exports = load(THREE);
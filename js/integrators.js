@@ -0,0 +1,398 @@
+"use strict";
+
+/****************************** INTEGRATORS ******************************/
+// An integrator moves every particle of a cloth forward over one timestep,
+// given the forces accumulated into each particle's netForce, which it then
+// resets. SceneParams.integrator picks one of the integrators below by name.
+//
+// Each integrator has the following properties:
+//   springs: (boolean) whether the integrator treats the cloth's constraints
+//      as Hooke's law springs (see Cloth.prototype.springConstantOf). If so,
+//      the springs are part of the forces it integrates, and the constraints
+//      aren't also enforced afterwards.
+//   integrate: (function(cloth, deltaT, DAMPING)) move the particles of the
+//      cloth forward by deltaT seconds, damping their velocities by DAMPING
+//
+// Particles only store their current and previous positions, so the
+// integrators other than Verlet take (position - previous) / deltaT as a
+// particle's velocity v, and store its new velocity by setting previous to
+// position - v * deltaT. Collisions can then keep moving particles directly,
+// just like they do with Verlet integration.
+//
+// Pinned particles are never moved.
+var Integrators = {};
+
+// Damped Verlet integration, with the constraints enforced afterwards.
+// See Particle.prototype.integrate.
+Integrators.Verlet = {
+  springs: false,
+  integrate: function(cloth, deltaT, DAMPING) {
+    for (let particle of cloth.particles) {
+      particle.integrate(deltaT, DAMPING);
+    }
+  },
+};
+
+// Semi-implicit (symplectic) Euler: update each velocity with the current
+// forces, then each position with the new velocity.
+// Like every explicit method, this is only stable while the step is small
+// compared to the period of the stiffest spring, so deltaT is split into
+// substeps short enough for it (see stableSubsteps).
+Integrators.SymplecticEuler = {
+  springs: true,
+  integrate: function(cloth, deltaT, DAMPING) {
+    let state = readState(cloth, deltaT, DAMPING);
+    let springs = springsOf(cloth);
+    let { x, v } = state;
+    let substeps = stableSubsteps(springs, state, deltaT, 2);
+    let h = deltaT / substeps;
+
+    for (let step = 0; step < substeps; step++) {
+      let f = new Float64Array(state.f);
+      addSpringForces(springs, x, f);
+      for (let i = 0; i < x.length; i++) {
+        v[i] += h * f[i] * state.invMass[Math.floor(i / 3)];
+        x[i] += h * v[i];
+      }
+    }
+
+    writeState(cloth, state, deltaT);
+  },
+};
+
+// Classical fourth order Runge-Kutta. The external forces are held constant
+// over the timestep, while the springs are evaluated at every stage. Like
+// symplectic Euler, it splits deltaT into substeps short enough to be stable.
+Integrators.RK4 = {
+  springs: true,
+  integrate: function(cloth, deltaT, DAMPING) {
+    let state = readState(cloth, deltaT, DAMPING);
+    let springs = springsOf(cloth);
+    let { x, v } = state;
+    let n = x.length;
+    let substeps = stableSubsteps(springs, state, deltaT, 2 * Math.SQRT2);
+    let h = deltaT / substeps;
+
+    const stageSteps = [0, h / 2, h / 2, h];
+    for (let step = 0; step < substeps; step++) {
+      // dx[k] and dv[k] are the derivatives of x and v at stage k
+      let dx = [];
+      let dv = [];
+      let xStage = new Float64Array(x);
+      let vStage = new Float64Array(v);
+      for (let k = 0; k < 4; k++) {
+        if (k > 0) {
+          for (let i = 0; i < n; i++) {
+            xStage[i] = x[i] + stageSteps[k] * dx[k - 1][i];
+            vStage[i] = v[i] + stageSteps[k] * dv[k - 1][i];
+          }
+        }
+        dx.push(new Float64Array(vStage));
+        dv.push(accelerationAt(state, springs, xStage));
+      }
+
+      for (let i = 0; i < n; i++) {
+        x[i] += h / 6 * (dx[0][i] + 2 * dx[1][i] + 2 * dx[2][i] + dx[3][i]);
+        v[i] += h / 6 * (dv[0][i] + 2 * dv[1][i] + 2 * dv[2][i] + dv[3][i]);
+      }
+    }
+
+    writeState(cloth, state, deltaT);
+  },
+};
+
+// Implicit (backward) Euler for a mass-spring system, as in Baraff and
+// Witkin's "Large Steps in Cloth Simulation": the new velocities are found by
+// solving the linearized system
+//     (M - deltaT^2 K) dv = deltaT (f + deltaT K v)
+// with the conjugate gradient method, where K is the Jacobian of the spring
+// forces with respect to the positions. This stays stable for any deltaT,
+// at the cost of extra numerical damping.
+Integrators.BackwardEuler = {
+  springs: true,
+  integrate: function(cloth, deltaT, DAMPING) {
+    let state = readState(cloth, deltaT, DAMPING);
+    let springs = springsOf(cloth);
+    let { x, v, f, mass, invMass } = state;
+    let n = x.length;
+    addSpringForces(springs, x, f);
+    let jacobian = springJacobian(springs, x);
+    const h2 = deltaT * deltaT;
+
+    // A pinned particle's row and column are dropped from the system, so that
+    // its dv stays 0.
+    let filter = function(vector) {
+      for (let i = 0; i < n; i++) {
+        if (invMass[Math.floor(i / 3)] === 0) vector[i] = 0;
+      }
+    };
+
+    // out = (M - deltaT^2 K) p
+    let multiply = function(p, out) {
+      for (let i = 0; i < n; i++) out[i] = mass[Math.floor(i / 3)] * p[i];
+      addStiffnessProduct(springs, jacobian, p, out, h2);
+      filter(out);
+    };
+
+    // b = deltaT f + deltaT^2 K v
+    let b = new Float64Array(n);
+    addStiffnessProduct(springs, jacobian, v, b, -h2);
+    for (let i = 0; i < n; i++) b[i] += deltaT * f[i];
+    filter(b);
+
+    // Jacobi preconditioner: the inverse of an estimate of the diagonal of
+    // (M - deltaT^2 K), which is positive for every particle.
+    let preconditioner = new Float64Array(n);
+    for (let i = 0; i < n; i++) preconditioner[i] = mass[Math.floor(i / 3)];
+    for (let s = 0; s < springs.count; s++) {
+      let k = h2 * springs.k[s];
+      for (let c = 0; c < 3; c++) {
+        preconditioner[3 * springs.a[s] + c] += k;
+        preconditioner[3 * springs.b[s] + c] += k;
+      }
+    }
+    for (let i = 0; i < n; i++) preconditioner[i] = 1 / preconditioner[i];
+
+    let dv = conjugateGradient(multiply, b, preconditioner);
+
+    for (let i = 0; i < n; i++) {
+      v[i] += dv[i];
+      x[i] += deltaT * v[i];
+    }
+
+    writeState(cloth, state, deltaT);
+  },
+};
+
+/***************************** HELPER FUNCTIONS *****************************/
+// The conjugate gradient method stops after this many iterations, or once the
+// residual is this small relative to the right hand side.
+const CG_MAX_ITERATIONS = 100;
+const CG_TOLERANCE = 1e-6;
+
+// Return how many substeps an explicit integrator needs to split deltaT into
+// to stay stable: enough that each substep times the fastest angular
+// frequency of the springs is at most limit, the bound of the integrator's
+// stability region along the imaginary axis. By Gershgorin's theorem, no
+// particle's springs make it oscillate faster than the square root of twice
+// their total spring constant over its mass. The stiffer the springs and the
+// longer the TIMESTEP, the more substeps it takes, where BackwardEuler takes
+// one step whatever their length.
+function stableSubsteps(springs, state, deltaT, limit) {
+  let total = new Float64Array(state.mass.length);
+  for (let s = 0; s < springs.count; s++) {
+    total[springs.a[s]] += springs.k[s];
+    total[springs.b[s]] += springs.k[s];
+  }
+  let fastest = 0;
+  for (let i = 0; i < total.length; i++) {
+    fastest = Math.max(fastest, 2 * total[i] * state.invMass[i]);
+  }
+  return Math.max(1, Math.ceil(deltaT * Math.sqrt(fastest) / limit));
+}
+
+// Gather the positions, damped velocities, external forces and masses of the
+// cloth's particles into flat arrays, with 3 entries per particle.
+function readState(cloth, deltaT, DAMPING) {
+  let particles = cloth.particles;
+  let count = particles.length;
+  let state = {
+    x: new Float64Array(3 * count),
+    v: new Float64Array(3 * count),
+    f: new Float64Array(3 * count),
+    mass: new Float64Array(count),
+    invMass: new Float64Array(count),
+  };
+  for (let i = 0; i < count; i++) {
+    let particle = particles[i];
+    state.mass[i] = particle.mass;
+    state.invMass[i] = particle.invMass;
+    particle.position.toArray(state.x, 3 * i);
+    particle.netForce.toArray(state.f, 3 * i);
+    if (particle.isPinned()) continue;
+    for (let c = 0; c < 3; c++) {
+      let displacement = state.x[3 * i + c] - particle.previous.getComponent(c);
+      state.v[3 * i + c] = displacement / deltaT * (1 - DAMPING);
+    }
+  }
+  return state;
+}
+
+// Move the cloth's particles to the new positions and velocities in state,
+// and reset their net forces.
+function writeState(cloth, state, deltaT) {
+  let particles = cloth.particles;
+  for (let i = 0; i < particles.length; i++) {
+    let particle = particles[i];
+    particle.netForce.set(0, 0, 0);
+    if (particle.isPinned()) {
+      particle.previous.copy(particle.position);
+      continue;
+    }
+    particle.position.fromArray(state.x, 3 * i);
+    particle.previous.set(
+      state.x[3 * i] - deltaT * state.v[3 * i],
+      state.x[3 * i + 1] - deltaT * state.v[3 * i + 1],
+      state.x[3 * i + 2] - deltaT * state.v[3 * i + 2]
+    );
+  }
+}
+
+// Return the cloth's constraints as springs between particle indices:
+//   count: (int) the number of springs
+//   a, b: (Int32Array) the indices of the two particles of each spring
+//   rest: (Float64Array) the rest length of each spring
+//   k: (Float64Array) the spring constant of each spring
+function springsOf(cloth) {
+  let indices = new Map();
+  cloth.particles.forEach(function(particle, i) {
+    indices.set(particle, i);
+  });
+
+  let constraints = cloth.constraints;
+  let count = constraints.length;
+  let springs = {
+    count: count,
+    a: new Int32Array(count),
+    b: new Int32Array(count),
+    rest: new Float64Array(count),
+    k: new Float64Array(count),
+  };
+  for (let s = 0; s < count; s++) {
+    let constraint = constraints[s];
+    springs.a[s] = indices.get(constraint.p1);
+    springs.b[s] = indices.get(constraint.p2);
+    springs.rest[s] = constraint.distance;
+    springs.k[s] = constraint.springConstant;
+  }
+  return springs;
+}
+
+// Add the force of every spring at positions x into f.
+function addSpringForces(springs, x, f) {
+  for (let s = 0; s < springs.count; s++) {
+    let a = 3 * springs.a[s];
+    let b = 3 * springs.b[s];
+    let dx = x[b] - x[a];
+    let dy = x[b + 1] - x[a + 1];
+    let dz = x[b + 2] - x[a + 2];
+    let length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length === 0) continue;
+
+    let scale = springs.k[s] * (length - springs.rest[s]) / length;
+    f[a] += scale * dx;
+    f[a + 1] += scale * dy;
+    f[a + 2] += scale * dz;
+    f[b] -= scale * dx;
+    f[b + 1] -= scale * dy;
+    f[b + 2] -= scale * dz;
+  }
+}
+
+// Return the acceleration of every particle at positions x, due to the
+// external forces in state and the springs.
+function accelerationAt(state, springs, x) {
+  let a = new Float64Array(state.f);
+  addSpringForces(springs, x, a);
+  for (let i = 0; i < a.length; i++) {
+    a[i] *= state.invMass[Math.floor(i / 3)];
+  }
+  return a;
+}
+
+// Return what's needed to multiply by the Jacobian of each spring force at
+// positions x: for a spring from particle a to b with direction d, the force
+// on a changes by J (dx_b - dx_a), where
+//     J = k (c I + (1 - c) d d^T)   and   c = max(0, 1 - rest / length).
+// Clamping c at 0 drops the term that makes compressed springs unstable, so
+// that (M - deltaT^2 K) stays positive definite.
+//   direction: (Float64Array) d for each spring, 3 entries per spring
+//   c: (Float64Array) c for each spring
+function springJacobian(springs, x) {
+  let jacobian = {
+    direction: new Float64Array(3 * springs.count),
+    c: new Float64Array(springs.count),
+  };
+  for (let s = 0; s < springs.count; s++) {
+    let a = 3 * springs.a[s];
+    let b = 3 * springs.b[s];
+    let dx = x[b] - x[a];
+    let dy = x[b + 1] - x[a + 1];
+    let dz = x[b + 2] - x[a + 2];
+    let length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length === 0) continue;
+
+    jacobian.direction[3 * s] = dx / length;
+    jacobian.direction[3 * s + 1] = dy / length;
+    jacobian.direction[3 * s + 2] = dz / length;
+    jacobian.c[s] = Math.max(0, 1 - springs.rest[s] / length);
+  }
+  return jacobian;
+}
+
+// Add scale * (-K p) into out, where K is the Jacobian of the spring forces.
+function addStiffnessProduct(springs, jacobian, p, out, scale) {
+  let { direction, c } = jacobian;
+  for (let s = 0; s < springs.count; s++) {
+    let a = 3 * springs.a[s];
+    let b = 3 * springs.b[s];
+    let ux = p[a] - p[b];
+    let uy = p[a + 1] - p[b + 1];
+    let uz = p[a + 2] - p[b + 2];
+    let dx = direction[3 * s];
+    let dy = direction[3 * s + 1];
+    let dz = direction[3 * s + 2];
+
+    // J u = k (c u + (1 - c) (d . u) d)
+    let k = scale * springs.k[s];
+    let along = (1 - c[s]) * (dx * ux + dy * uy + dz * uz);
+    let jx = k * (c[s] * ux + along * dx);
+    let jy = k * (c[s] * uy + along * dy);
+    let jz = k * (c[s] * uz + along * dz);
+    out[a] += jx;
+    out[a + 1] += jy;
+    out[a + 2] += jz;
+    out[b] -= jx;
+    out[b + 1] -= jy;
+    out[b + 2] -= jz;
+  }
+}
+
+// Solve A x = b for x with the preconditioned conjugate gradient method,
+// where multiply(p, out) sets out = A p, and A is symmetric positive
+// definite. preconditioner holds the inverse of the diagonal of A.
+function conjugateGradient(multiply, b, preconditioner) {
+  let n = b.length;
+  let x = new Float64Array(n);
+  let r = new Float64Array(b);
+  let z = new Float64Array(n);
+  let Ap = new Float64Array(n);
+  for (let i = 0; i < n; i++) z[i] = preconditioner[i] * r[i];
+  let p = new Float64Array(z);
+
+  let dot = function(u, w) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += u[i] * w[i];
+    return sum;
+  };
+
+  let rz = dot(r, z);
+  let threshold = CG_TOLERANCE * CG_TOLERANCE * dot(b, b);
+  for (let iteration = 0; iteration < CG_MAX_ITERATIONS; iteration++) {
+    if (dot(r, r) <= threshold) break;
+
+    multiply(p, Ap);
+    let alpha = rz / dot(p, Ap);
+    for (let i = 0; i < n; i++) {
+      x[i] += alpha * p[i];
+      r[i] -= alpha * Ap[i];
+      z[i] = preconditioner[i] * r[i];
+    }
+
+    let rzNext = dot(r, z);
+    let beta = rzNext / rz;
+    rz = rzNext;
+    for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+  }
+  return x;
+}
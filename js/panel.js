@@ -0,0 +1,351 @@
+"use strict";
+
+/******************************** PANEL ********************************/
+// Panel constructor
+// Parameters:
+//   outline: (THREE.Vector2[]) the corners of the panel's outline, in order
+//      (either way around), in units
+//   holes: (THREE.Vector2[][]) optionally, the outlines of holes cut out of
+//      the panel, in the same way
+//
+// A panel is a flat piece of cloth cut out along a 2D outline, like a piece
+// of a sewing pattern. The cloth can be cut from panels instead of a
+// rectangular grid (see Cloth), and triangulates them into particles about
+// restDistance apart with Panel.prototype.triangulate.
+//
+// Pattern coordinates are laid out like a drawing: x to the right and y
+// down the page, so that y = 0 is the top of a vertically hung cloth.
+//
+// A panel has the following properties besides its outline and holes:
+//   this.seams: (Object[]) the seams sewing the edges of this panel to the
+//      edges of others, added by Panel.prototype.sew
+//   this.placement: (THREE.Matrix4) where the panel starts, or null for where
+//      it lies in the pattern. It moves the panel, centred on the middle of
+//      its bounding box, within the cloth's plane before the cloth is
+//      turned into place (see clothParameterization), with x across the
+//      pattern, y out of the cloth and z down the pattern; e.g. the back of
+//      a garment starts behind the front, turned around.
+function Panel(outline, holes) {
+  this.outline = outline;
+  this.holes = holes || [];
+  this.seams = [];
+  this.placement = null;
+}
+
+// Sew one edge of this panel to an edge of another panel (or to another
+// edge of this one). Edge i of the outline runs from its corner i to corner
+// i + 1, and the edges of the holes are numbered on from there, as in
+// Panel.prototype.triangulate; a longer side, e.g. a curve, can be sewn as a
+// list of consecutive edges of one loop, in order.
+// The first corner of this edge is sewn to the last corner of the other, as
+// when two panels that face each other are sewn together (or to its first
+// corner, if sameWay), and the cloth pulls the seam together and welds it as
+// it is simulated (see Cloth.prototype.cutFromPanels). Returns this panel.
+// Params:
+// * edge: int or int[] - the edge (or edges) of this panel
+// * other: Panel - the panel to sew it to
+// * otherEdge: int or int[] - the edge (or edges) of the other panel
+// * sameWay: boolean - optionally, whether the edges run the same way along
+//      the seam
+Panel.prototype.sew = function(edge, other, otherEdge, sameWay) {
+  this.seams.push({ edge: edge, panel: other, otherEdge: otherEdge, sameWay: !!sameWay });
+  return this;
+};
+
+// Returns every closed loop of the panel: its outline, then its holes.
+Panel.prototype.loops = function() {
+  return [this.outline].concat(this.holes);
+};
+
+// Returns the smallest box around the panel's outline, as a THREE.Box2.
+Panel.prototype.boundingBox = function() {
+  return new THREE.Box2().setFromPoints(this.outline);
+};
+
+// Returns whether the given point is inside the panel, i.e. inside its
+// outline and not inside any of its holes.
+// Params:
+// * point: THREE.Vector2 - the point, in pattern coordinates
+Panel.prototype.contains = function(point) {
+  // Count how many edges a ray to the right of the point crosses: an odd
+  // number in all means the point is inside
+  let inside = false;
+  for (let loop of this.loops()) {
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+      let a = loop[i];
+      let b = loop[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < a.x + (b.x - a.x) * (point.y - a.y) / (b.y - a.y)) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+};
+
+// Returns the distance from the given point to the nearest edge of the
+// panel's outline or holes.
+// Params:
+// * point: THREE.Vector2 - the point, in pattern coordinates
+Panel.prototype.distanceToEdge = function(point) {
+  let nearest = Infinity;
+  let ab = new THREE.Vector2();
+  let ap = new THREE.Vector2();
+  for (let loop of this.loops()) {
+    for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+      ab.subVectors(loop[i], loop[j]);
+      ap.subVectors(point, loop[j]);
+      let t = THREE.Math.clamp(ap.dot(ab) / ab.lengthSq(), 0, 1);
+      nearest = Math.min(nearest, ap.addScaledVector(ab, -t).length());
+    }
+  }
+  return nearest;
+};
+
+// Triangulate the panel into a mesh of points about spacing apart: its
+// outline and holes divided evenly into edges at most spacing long, and a
+// lattice of equilateral triangles inside, joined up by a Delaunay
+// triangulation that leaves out the triangles outside the panel.
+// Returns an object with the following properties:
+//   points: (THREE.Vector2[]) the points, in pattern coordinates
+//   triangles: (int[][]) the triangles, as the indices of their 3 corners,
+//      wound the same way as the faces of a rectangular cloth
+//   boundary: (boolean[]) for each point, whether it is on the outline or
+//      the edge of a hole
+//   edges: (int[][]) for each edge of the outline and then of each hole, the
+//      indices of the points along it, from its first corner to its last
+// Params:
+// * spacing: Number - the distance between neighbouring points
+Panel.prototype.triangulate = function(spacing) {
+  let points = [];
+  let boundary = [];
+  let edges = [];
+
+  // Divide every edge of the outline and holes evenly
+  for (let loop of this.loops()) {
+    let loopStart = points.length;
+    let pieces = [];
+    for (let i = 0; i < loop.length; i++) {
+      let a = loop[i];
+      let b = loop[(i + 1) % loop.length];
+      // e.g. the last corner of an outline that repeats the first, which is
+      // an edge of no pieces
+      pieces.push(a.equals(b) ? 0 : Math.max(1, Math.ceil(a.distanceTo(b) / spacing)));
+      for (let k = 0; k < pieces[i]; k++) {
+        points.push(new THREE.Vector2().lerpVectors(a, b, k / pieces[i]));
+        boundary.push(true);
+      }
+    }
+    // Each edge ends where the next one starts, and the last where the
+    // loop started
+    let start = loopStart;
+    for (let i = 0; i < loop.length; i++) {
+      let indices = [];
+      for (let k = 0; k <= pieces[i]; k++) {
+        indices.push(start + k < points.length ? start + k : loopStart);
+      }
+      edges.push(indices);
+      start += pieces[i];
+    }
+  }
+
+  // Fill the inside with a triangular lattice, keeping it at least half a
+  // spacing from the edges so that no triangle along them is too thin
+  let box = this.boundingBox();
+  let rowHeight = spacing * Math.sqrt(3) / 2;
+  for (let row = 0, y = box.min.y; y <= box.max.y; row++, y += rowHeight) {
+    let x = box.min.x + (row % 2) * spacing / 2;
+    for (; x <= box.max.x; x += spacing) {
+      let point = new THREE.Vector2(x, y);
+      if (this.contains(point) && this.distanceToEdge(point) >= spacing / 2) {
+        points.push(point);
+        boundary.push(false);
+      }
+    }
+  }
+
+  // Keep the triangles of the Delaunay triangulation that are inside
+  let triangles = [];
+  let centroid = new THREE.Vector2();
+  for (let triangle of delaunayTriangulation(points)) {
+    let [a, b, c] = triangle.map(function(i) { return points[i]; });
+    let area = (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+    if (Math.abs(area) < 1e-9 * spacing * spacing) continue;
+    centroid.copy(a).add(b).add(c).divideScalar(3);
+    if (this.contains(centroid)) {
+      triangles.push(area > 0 ? triangle : [triangle[0], triangle[2], triangle[1]]);
+    }
+  }
+
+  // Drop any point left out of every triangle
+  let used = points.map(function() { return -1; });
+  let kept = { points: [], triangles: [], boundary: [] };
+  for (let triangle of triangles) {
+    kept.triangles.push(triangle.map(function(i) {
+      if (used[i] < 0) {
+        used[i] = kept.points.length;
+        kept.points.push(points[i]);
+        kept.boundary.push(boundary[i]);
+      }
+      return used[i];
+    }));
+  }
+  kept.edges = edges.map(function(indices) {
+    return indices.map(function(i) { return used[i]; }).filter(function(i) { return i >= 0; });
+  });
+  return kept;
+};
+
+// Returns the Delaunay triangulation of the given points, as the indices of
+// the 3 corners of each triangle, by the Bowyer-Watson algorithm: each point
+// in turn replaces the triangles whose circumcircles contain it with a fan
+// of triangles around it.
+// This takes time quadratic in the number of points, which is fine for the
+// few thousand particles of a cloth.
+// Params:
+// * points: THREE.Vector2[] - the points to triangulate
+function delaunayTriangulation(points) {
+  // Start from a triangle far bigger than all the points
+  let box = new THREE.Box2().setFromPoints(points);
+  let center = box.getCenter(new THREE.Vector2());
+  let size = Math.max(box.max.x - box.min.x, box.max.y - box.min.y, 1) * 20;
+  let all = points.concat([
+    new THREE.Vector2(center.x - size, center.y - size),
+    new THREE.Vector2(center.x + size, center.y - size),
+    new THREE.Vector2(center.x, center.y + size),
+  ]);
+  let n = points.length;
+
+  // A triangle, with its circumcircle
+  function triangle(a, b, c) {
+    let A = all[a], B = all[b], C = all[c];
+    let d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+    let a2 = A.lengthSq(), b2 = B.lengthSq(), c2 = C.lengthSq();
+    let x = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+    let y = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    let dx = A.x - x, dy = A.y - y;
+    return { corners: [a, b, c], x: x, y: y, radiusSq: dx * dx + dy * dy };
+  }
+
+  let triangles = [triangle(n, n + 1, n + 2)];
+  for (let p = 0; p < n; p++) {
+    let point = all[p];
+    // The edges around the hole left by the triangles the point is in the
+    // circumcircle of, which appear in just one of those triangles
+    let edges = new Map();
+    triangles = triangles.filter(function(t) {
+      let dx = point.x - t.x, dy = point.y - t.y;
+      if (dx * dx + dy * dy >= t.radiusSq) return true;
+      for (let k = 0; k < 3; k++) {
+        let i = t.corners[k], j = t.corners[(k + 1) % 3];
+        let key = Math.min(i, j) * (n + 3) + Math.max(i, j);
+        if (edges.has(key)) {
+          edges.delete(key);
+        } else {
+          edges.set(key, [i, j]);
+        }
+      }
+      return false;
+    });
+    for (let [i, j] of edges.values()) {
+      triangles.push(triangle(i, j, p));
+    }
+  }
+
+  // Leave out the triangles with corners on the big triangle
+  return triangles.filter(function(t) {
+    return t.corners.every(function(i) { return i < n; });
+  }).map(function(t) {
+    return t.corners;
+  });
+}
+
+// Returns the corners of an ellipse filling a box, as a polygon.
+// Params:
+// * center: THREE.Vector2 - the centre of the ellipse
+// * width, height: Number - the size of the ellipse
+// * count: int - how many corners to give the polygon
+function panelEllipse(center, width, height, count) {
+  let corners = [];
+  for (let i = 0; i < count; i++) {
+    let angle = 2 * Math.PI * i / count;
+    corners.push(new THREE.Vector2(
+      center.x + Math.cos(angle) * width / 2,
+      center.y + Math.sin(angle) * height / 2
+    ));
+  }
+  return corners;
+}
+
+// Returns the front and back panels of a garment sewn up both sides, e.g. a
+// tube or a skirt: two copies of the outline of a panel whose corners are
+// its top left, top right, bottom right and bottom left, side by side in the
+// pattern. They start facing each other across a gap as wide as the garment
+// will be once sewn, the back behind the front and turned around.
+// Params:
+// * outline: THREE.Vector2[] - the outline of the front panel
+// * around: Number - the distance around the garment's widest edge
+function panelGarment(outline, around) {
+  let width = new THREE.Box2().setFromPoints(outline).getSize(new THREE.Vector2()).x;
+  let front = new Panel(outline);
+  let back = new Panel(outline.map(function(corner) {
+    return new THREE.Vector2(corner.x + width + 20, corner.y);
+  }));
+
+  let radius = around / (2 * Math.PI);
+  front.placement = new THREE.Matrix4().makeTranslation(0, radius, 0);
+  back.placement = new THREE.Matrix4().makeTranslation(0, -radius, 0)
+    .multiply(new THREE.Matrix4().makeRotationZ(Math.PI));
+
+  // The right side of the front to the left side of the back, and the left
+  // of the front to the right of the back, which are side by side once the
+  // back is turned around
+  front.sew(1, back, 3);
+  front.sew(3, back, 1);
+  return [front, back];
+}
+
+// The shapes the cloth can be cut into besides a rectangle (see
+// Params.clothShape), each a function(params) that returns the panels of the
+// shape, fabricWidth by fabricHeight (or fabricWidth around, for garments).
+Panel.shapes = {
+  Circle: function(params) {
+    let center = new THREE.Vector2(0, 0);
+    return [new Panel(panelEllipse(center, params.fabricWidth, params.fabricHeight, 64))];
+  },
+  // A circle with a hole half its size in the middle
+  Ring: function(params) {
+    let center = new THREE.Vector2(0, 0);
+    return [new Panel(
+      panelEllipse(center, params.fabricWidth, params.fabricHeight, 64),
+      [panelEllipse(center, params.fabricWidth / 2, params.fabricHeight / 2, 32)]
+    )];
+  },
+  // The front of a T-shirt, with its neckline at the top
+  Shirt: function(params) {
+    let outline = [
+      [0.38, 0], [0.5, 0.08], [0.62, 0], [1, 0.12], [1, 0.35], [0.8, 0.3],
+      [0.8, 1], [0.2, 1], [0.2, 0.3], [0, 0.35], [0, 0.12],
+    ];
+    return [new Panel(outline.map(function([x, y]) {
+      return new THREE.Vector2(x * params.fabricWidth, y * params.fabricHeight);
+    }))];
+  },
+  // A tube, sewn from a front and a back, which stands up when the cloth is
+  // vertical
+  Tube: function(params) {
+    let width = params.fabricWidth / 2;
+    return panelGarment([
+      new THREE.Vector2(0, 0), new THREE.Vector2(width, 0),
+      new THREE.Vector2(width, params.fabricHeight), new THREE.Vector2(0, params.fabricHeight),
+    ], params.fabricWidth);
+  },
+  // A skirt like the tube, flaring from a waist half as wide as its hem
+  Skirt: function(params) {
+    let width = params.fabricWidth / 2;
+    return panelGarment([
+      new THREE.Vector2(width / 4, 0), new THREE.Vector2(3 * width / 4, 0),
+      new THREE.Vector2(width, params.fabricHeight), new THREE.Vector2(0, params.fabricHeight),
+    ], params.fabricWidth);
+  },
+};
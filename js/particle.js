@@ -1,16 +1,23 @@
 "use strict";
 
 // Particle constructor
-function Particle(x, y, z, mass) {
+// Params:
+// * x, y: Number - the particle's (u, v) coordinates on the cloth, in [0, 1]
+// * z: Number - unused
+// * mass: Number - the mass of the particle
+// * parameterization: function(u, v, vec) - sets vec to the position of the
+//      particle at (u, v) (see clothParameterization)
+function Particle(x, y, z, mass, parameterization) {
   this.position = new THREE.Vector3(); // position
   this.previous = new THREE.Vector3(); // previous
   this.original = new THREE.Vector3(); // original
-  initParameterizedPosition(x, y, this.position);
-  initParameterizedPosition(x, y, this.previous);
-  initParameterizedPosition(x, y, this.original);
+  parameterization(x, y, this.position);
+  parameterization(x, y, this.previous);
+  parameterization(x, y, this.original);
 
   this.netForce = new THREE.Vector3(); // net force acting on particle
   this.mass = mass; // mass of the particle
+  this.invMass = 1 / mass; // inverse mass; 0 while the particle is pinned
   this.correction = new THREE.Vector3(); // offset to apply to enforce constraints
 }
 
@@ -26,6 +33,41 @@ Particle.prototype.lock = function() {
   this.previous.copy(this.previous);
 };
 
+// Pin a particle at its original position, by giving it an infinite mass so
+// that no force or constraint moves it from there.
+Particle.prototype.pin = function() {
+  if (this.isPinned()) return;
+  this.lockToOriginal();
+  this.invMass = 0;
+};
+
+// Pin a particle at the given point instead, e.g. where the mouse holds it.
+// Params:
+// * point: THREE.Vector3 - where to pin the particle
+Particle.prototype.pinAt = function(point) {
+  this.position.copy(point);
+  this.previous.copy(point);
+  this.invMass = 0;
+};
+
+// Release a pinned particle, giving it back its finite mass.
+Particle.prototype.unpin = function() {
+  this.invMass = 1 / this.mass;
+};
+
+// Is the particle pinned in place?
+Particle.prototype.isPinned = function() {
+  return this.invMass === 0;
+};
+
+// Change the mass of a particle, e.g. to weigh down the hem of a cloth.
+// Params:
+// * mass: Number - the new mass, which must be positive
+Particle.prototype.setMass = function(mass) {
+  this.mass = mass;
+  if (!this.isPinned()) this.unpin();
+};
+
 // Add the given force to a particle's total netForce.
 // Params:
 // * force: THREE.Vector3 - the force to add
@@ -37,8 +79,8 @@ Particle.prototype.addForce = function(force) {
 // timestep deltaT.
 // Params:
 // * deltaT: Number - the length of time dt over which to integrate
-Particle.prototype.integrate = function(deltaT) {
-  const DAMPING = SceneParams.DAMPING;
+// * DAMPING: Number - the damping coefficient for integration
+Particle.prototype.integrate = function(deltaT, DAMPING) {
 
   // You need to:
   // (1) Save the old (i.e. current) position into this.previous.
@@ -51,44 +93,34 @@ Particle.prototype.integrate = function(deltaT) {
   let velocity = new THREE.Vector3();
   velocity.subVectors(this.position, this.previous)
   this.position = this.position.add(velocity.multiplyScalar(1-DAMPING)).add(
-  this.netForce.multiplyScalar(deltaT**2/this.mass));
+  this.netForce.multiplyScalar(deltaT**2*this.invMass));
   this.previous = oldPos;
   this.netForce = new THREE.Vector3();
 };
 
 // Handle collisions between this Particle and the provided floor.
-// Note: the fields of floor are documented for completeness, but you
-//       *WILL NOT* need to use all of them.
 // Params:
 // * floor: An object representing the floor of the scene, with properties:
-//    - mesh: THREE.Mesh - the physical representation in the scene
-//    - geometry: THREE.PlaneBufferGeometry - the abstract geometric representation
-//    - material: THREE.MeshPhongMaterial - material information for lighting
+//    - position: THREE.Vector3 - the position of the floor plane
 Particle.prototype.handleFloorCollision = function(floor) {
-  let floorMesh = floor.mesh;
-  let floorPosition = floorMesh.position;
+  let floorPosition = floor.position;
   const EPS = 3;
   // Handle collision of this particle with the floor.
- // console.log(floorPosition.y)
   if (this.position.y - floorPosition.y < EPS) {
     this.position.y = floorPosition.y + EPS
   }
 };
 
 // Handle collisions between this Particle and the provided sphere.
-// Note: the fields of sphere are documented for completeness, but you
-//       *WILL NOT* need to use all of them.
 // Params:
 // * sphere: An object representing a sphere in the scene, with properties:
-//    - mesh: THREE.Mesh - the physical representation in the scene
-//    - geometry: THREE.SphereGeometry - the abstract geometric representation
-//    - material: THREE.MeshPhongMaterial - material information for lighting
+//    - enabled: boolean - whether the sphere is present in the scene
 //    - radius: number - the radius of the sphere
 //    - position: THREE.Vector3 - the sphere's position in this frame
 //    - prevPosition: THREE.Vector3 - the sphere's position in the previous frame
-Particle.prototype.handleSphereCollision = function(sphere) {
-  if (sphere.mesh.visible) {
-    const friction = SceneParams.friction;
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handleSphereCollision = function(sphere, friction) {
+  if (sphere.enabled) {
     let spherePosition = sphere.position.clone();
     let prevSpherePosition = sphere.prevPosition.clone();
     let EPS = 5; // empirically determined
@@ -119,22 +151,27 @@ Particle.prototype.handleSphereCollision = function(sphere) {
   }
 };
 
-// Handle collisions between this Particle and the provided axis-aligned box.
-// Note: the fields of box are documented for completeness, but you
-//       *WILL NOT* need to use all of them.
+// Handle collisions between this Particle and the provided box, which may be
+// rotated. The collision is handled in the box's own frame, where it is
+// axis-aligned and centered at the origin.
 // Params:
-// * box: An object representing an axis-aligned box in the scene, with properties:
-//    - mesh: THREE.Mesh - the physical representation in the scene
-//    - geometry: THREE.BoxGeometry - the abstract geometric representation
-//    - material: THREE.MeshPhongMaterial - material information for lighting
-//    - boundingBox: THREE.Box3 - the bounding box of the box in the scene
-Particle.prototype.handleBoxCollision = function(box) {
-  if (box.mesh.visible) {
-    const friction = SceneParams.friction;
-    let boundingBox = box.boundingBox.clone();
+// * box: An object representing a box in the scene, with properties:
+//    - enabled: boolean - whether the box is present in the scene
+//    - size: THREE.Vector3 - the width, height and depth of the box
+//    - position: THREE.Vector3 - the center of the box in this frame
+//    - prevPosition: THREE.Vector3 - the center of the box in the previous frame
+//    - quaternion: THREE.Quaternion - the rotation of the box in this frame
+//    - prevQuaternion: THREE.Quaternion - the rotation of the box in the
+//      previous frame
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handleBoxCollision = function(box, friction) {
+  if (box.enabled) {
+    let boundingBox = new THREE.Box3().setFromCenterAndSize(new THREE.Vector3(), box.size);
     const EPS = 10; // empirically determined
-    // Handle collision of this particle with the axis-aligned box.
+    // Handle collision of this particle with the box, in its frame.
     // As before, use EPS to prevent clipping
+    let inverse = box.quaternion.clone().inverse();
+    let position = this.position.clone().sub(box.position).applyQuaternion(inverse);
     let posFriction = new THREE.Vector3();
     let posNoFriction = new THREE.Vector3();
  
@@ -146,47 +183,269 @@ Particle.prototype.handleBoxCollision = function(box) {
     let maxZ = boundingBox.max.z
     let minZ = boundingBox.min.z
 
-    let xMaxDist = maxX - this.position.x; 
-    if(maxX - this.position.x < 0) 
+    let xMaxDist = maxX - position.x; 
+    if(maxX - position.x < 0) 
       return;
-    let xMinDist = this.position.x - minX; 
+    let xMinDist = position.x - minX; 
     if(xMinDist < 0) 
       return;
-    let yMaxDist = maxY - this.position.y; 
+    let yMaxDist = maxY - position.y; 
     if(yMaxDist < 0) 
       return;
-    let yMinDist= this.position.y - minY; 
+    let yMinDist= position.y - minY; 
     if(yMinDist < 0)
       return;
-    let zMaxDist = maxZ - this.position.z; 
+    let zMaxDist = maxZ - position.z; 
     if(zMaxDist < 0) 
       return;
-    let zMinDist = this.position.z - minZ; 
+    let zMinDist = position.z - minZ; 
     if(zMinDist < 0) 
       return;
     let minDist = Math.min(xMaxDist, xMinDist, yMaxDist, yMinDist, zMaxDist, zMinDist);
 
     if(xMaxDist == minDist)
-      this.position.x = maxX;
+      position.x = maxX;
     else if(xMinDist == minDist)
-      this.position.x = minX;
+      position.x = minX;
     else if(yMaxDist == minDist)
-      this.position.y = maxY;
+      position.y = maxY;
     else if(yMinDist == minDist)
-      this.position.y = minY;
+      position.y = minY;
     else if(zMaxDist == minDist)
-      this.position.z = maxZ;
+      position.z = maxZ;
     else if(zMinDist == minDist)
-      this.position.z =  minZ;
+      position.z =  minZ;
 
-    posNoFriction = this.position.clone();
+    posNoFriction = position.clone();
 
-    if (!boundingBox.containsPoint(this.previous)){
-      posFriction = this.previous.clone();
-      this.position = posNoFriction.multiplyScalar(1-friction).add(posFriction.multiplyScalar(friction));
+    // The previous position, in the box's frame at the previous frame, is
+    // where friction holds the particle: it moves along with the box
+    let prevInverse = box.prevQuaternion.clone().inverse();
+    let previous = this.previous.clone().sub(box.prevPosition).applyQuaternion(prevInverse);
+    if (!boundingBox.containsPoint(previous)){
+      posFriction = previous;
+      position = posNoFriction.multiplyScalar(1-friction).add(posFriction.multiplyScalar(friction));
     }
-    
+
+    this.position.copy(position.applyQuaternion(box.quaternion).add(box.position));
+  }
+};
+
+// Handle collisions between this Particle and the provided capsule.
+// Params:
+// * capsule: An object representing a capsule in the scene, with properties:
+//    - enabled: boolean - whether the capsule is present in the scene
+//    - radius: number - the radius of the capsule
+//    - axis: THREE.Vector3 - from the center of the capsule to one end of the
+//      segment that the capsule is around
+//    - position: THREE.Vector3 - the capsule's center in this frame
+//    - prevPosition: THREE.Vector3 - the capsule's center in the previous frame
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handleCapsuleCollision = function(capsule, friction) {
+  if (!capsule.enabled) return;
+  const EPS = 5; // empirically determined, as for the sphere
+  let segment = new THREE.Line3(
+    capsule.position.clone().sub(capsule.axis),
+    capsule.position.clone().add(capsule.axis)
+  );
+
+  // Push the particle away from the nearest point of the segment, as the
+  // sphere does from its center
+  let closest = segment.closestPointToPoint(this.position, true, new THREE.Vector3());
+  let dist = closest.distanceTo(this.position);
+  // (a particle exactly on the segment has no direction to be pushed in)
+  if (dist > capsule.radius + EPS || dist === 0) return;
+  let posNoFriction = closest.lerp(this.position, (capsule.radius + EPS) / dist);
+
+  // As for the sphere, friction holds back particles that just hit the
+  // capsule, except for carrying them along with it
+  let previousClosest = segment.closestPointToPoint(this.previous, true, new THREE.Vector3());
+  if (this.previous.distanceTo(previousClosest) > capsule.radius + EPS && friction != 0) {
+    let posFriction = this.previous.clone().add(capsule.position).sub(capsule.prevPosition);
+    this.position.copy(posFriction).multiplyScalar(friction)
+      .addScaledVector(posNoFriction, 1 - friction);
+  } else {
+    this.position.copy(posNoFriction);
+  }
+};
+
+// Handle collisions between this Particle and the provided solid cylinder,
+// with flat ends. As for the box, particles are pushed out through whichever
+// of its sides or ends is nearest.
+// Params:
+// * cylinder: An object representing a cylinder in the scene, with properties:
+//    - enabled: boolean - whether the cylinder is present in the scene
+//    - radius: number - the radius of the cylinder
+//    - axis: THREE.Vector3 - from the center of the cylinder to the center of
+//      one end
+//    - position: THREE.Vector3 - the cylinder's center in this frame
+//    - prevPosition: THREE.Vector3 - the cylinder's center in the previous frame
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handleCylinderCollision = function(cylinder, friction) {
+  if (!cylinder.enabled) return;
+  const EPS = 5; // empirically determined, as for the sphere
+  let length = cylinder.axis.length();
+  let direction = cylinder.axis.clone().divideScalar(length);
+  // Whether a point, relative to the center, is within EPS of the cylinder
+  let isNear = function(offset) {
+    let height = offset.dot(direction);
+    let radial = offset.clone().addScaledVector(direction, -height);
+    return Math.abs(height) < length + EPS && radial.length() < cylinder.radius + EPS;
+  };
+
+  let offset = new THREE.Vector3().subVectors(this.position, cylinder.position);
+  if (!isNear(offset)) return;
+  let height = offset.dot(direction);
+  let radial = offset.clone().addScaledVector(direction, -height);
+  let sideDist = cylinder.radius + EPS - radial.length();
+  let endDist = length + EPS - Math.abs(height);
+
+  // (a particle on the axis has no way out through the side)
+  if (sideDist < endDist && radial.lengthSq() > 0) {
+    radial.setLength(cylinder.radius + EPS);
+  } else {
+    height = Math.sign(height) * (length + EPS) || length + EPS;
+  }
+  let posNoFriction = radial.addScaledVector(direction, height).add(cylinder.position);
+
+  // As for the sphere, friction holds back particles that just hit the
+  // cylinder, except for carrying them along with it
+  let previous = new THREE.Vector3().subVectors(this.previous, cylinder.prevPosition);
+  if (!isNear(previous) && friction != 0) {
+    let posFriction = previous.add(cylinder.position);
+    this.position.copy(posFriction).multiplyScalar(friction)
+      .addScaledVector(posNoFriction, 1 - friction);
+  } else {
+    this.position.copy(posNoFriction);
+  }
+};
+
+// Handle collisions between this Particle and the provided solid torus.
+// Params:
+// * torus: An object representing a torus in the scene, with properties:
+//    - enabled: boolean - whether the torus is present in the scene
+//    - radius: number - from the center of the torus to the center of its tube
+//    - tube: number - the radius of the tube
+//    - axis: THREE.Vector3 - the unit vector the torus is around
+//    - position: THREE.Vector3 - the torus's center in this frame
+//    - prevPosition: THREE.Vector3 - the torus's center in the previous frame
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handleTorusCollision = function(torus, friction) {
+  if (!torus.enabled) return;
+  const EPS = 5; // empirically determined, as for the sphere
+  // The point at the center of the tube nearest a point, relative to the
+  // center of the torus
+  let ringPoint = function(offset) {
+    let radial = offset.clone().addScaledVector(torus.axis, -offset.dot(torus.axis));
+    return radial.setLength(torus.radius);
+  };
+
+  // Push the particle away from the center of the tube, as the sphere does
+  // from its center
+  let offset = new THREE.Vector3().subVectors(this.position, torus.position);
+  let closest = ringPoint(offset);
+  let dist = closest.distanceTo(offset);
+  // (a particle on the axis is as far from every point of the ring)
+  if (dist > torus.tube + EPS || dist === 0 || closest.lengthSq() === 0) return;
+  let posNoFriction = closest.lerp(offset, (torus.tube + EPS) / dist).add(torus.position);
+
+  // As for the sphere, friction holds back particles that just hit the
+  // torus, except for carrying them along with it
+  let previous = new THREE.Vector3().subVectors(this.previous, torus.prevPosition);
+  if (ringPoint(previous).distanceTo(previous) > torus.tube + EPS && friction != 0) {
+    let posFriction = previous.add(torus.position);
+    this.position.copy(posFriction).multiplyScalar(friction)
+      .addScaledVector(posNoFriction, 1 - friction);
+  } else {
+    this.position.copy(posNoFriction);
+  }
+};
+
+// Handle collisions between this Particle and the provided infinite plane,
+// which keeps particles EPS in front of it, as the floor does.
+// Params:
+// * plane: An object representing a plane in the scene, with properties:
+//    - enabled: boolean - whether the plane is present in the scene
+//    - normal: THREE.Vector3 - the unit vector the plane faces
+//    - position: THREE.Vector3 - a point on the plane in this frame
+//    - prevPosition: THREE.Vector3 - the same point in the previous frame
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handlePlaneCollision = function(plane, friction) {
+  if (!plane.enabled) return;
+  const EPS = 5; // empirically determined, as for the sphere
+  let height = new THREE.Vector3().subVectors(this.position, plane.position).dot(plane.normal);
+  if (height >= EPS) return;
+  let posNoFriction = this.position.clone().addScaledVector(plane.normal, EPS - height);
+
+  // As for the sphere, friction holds back particles that just hit the plane
+  let previousHeight = new THREE.Vector3().subVectors(this.previous, plane.prevPosition).dot(plane.normal);
+  if (previousHeight >= EPS && friction != 0) {
+    let posFriction = this.previous.clone().add(plane.position).sub(plane.prevPosition);
+    this.position.copy(posFriction).multiplyScalar(friction)
+      .addScaledVector(posNoFriction, 1 - friction);
+  } else {
+    this.position.copy(posNoFriction);
+  }
+};
+
+// Handle collisions between this Particle and the provided triangle mesh.
+// The mesh should be closed, with its triangles facing outwards, like the
+// THREE geometries are: particles are kept EPS away from its outside.
+// Params:
+// * mesh: An object representing a triangle mesh in the scene, with properties:
+//    - enabled: boolean - whether the mesh is present in the scene
+//    - bvh: BVH - the bounding volume hierarchy of the mesh's triangles,
+//      relative to the mesh's position
+//    - position: THREE.Vector3 - the mesh's position in this frame
+//    - prevPosition: THREE.Vector3 - the mesh's position in the previous frame
+// * friction: Number - 0 = frictionless, 1 = cloth sticks in place
+Particle.prototype.handleMeshCollision = function(mesh, friction) {
+  if (!mesh.enabled) return;
+  const EPS = 5; // empirically determined, as for the sphere
+  // How far inside the mesh particles are still pushed back out from, e.g.
+  // after constraints pulled them in
+  const DEPTH = 4 * EPS;
+  let bvh = mesh.bvh;
+  // Work relative to the mesh, where it was at the start and at the end of
+  // the timestep
+  let position = new THREE.Vector3().subVectors(this.position, mesh.position);
+  let previous = new THREE.Vector3().subVectors(this.previous, mesh.prevPosition);
+  let closest = new THREE.Vector3();
+  let normal = new THREE.Vector3();
+  let motion = new THREE.Vector3().subVectors(position, previous);
+
+  // If the particle went into the mesh through its surface during this
+  // timestep, put it back outside where it went through.
+  let triangle = bvh.intersectSegment(previous, position, closest);
+  if (triangle !== null) {
+    triangle.getNormal(normal);
+    if (normal.dot(motion) >= 0) triangle = null;
+  }
+
+  // Otherwise, push it away if it is within EPS of the surface, or just
+  // inside it (behind the nearest triangle).
+  if (triangle === null) {
+    triangle = bvh.closestPoint(position, DEPTH, closest);
+    if (triangle === null) return;
+    triangle.getNormal(normal);
+    let offset = new THREE.Vector3().subVectors(position, closest);
+    if (offset.dot(normal) > 0) {
+      if (offset.length() >= EPS) return;
+      normal.copy(offset).normalize();
+    }
+  }
+  let posNoFriction = closest.addScaledVector(normal, EPS);
+
+  // As for the sphere, friction holds back particles that just hit the mesh,
+  // except for carrying them along with it
+  let previousClosest = new THREE.Vector3();
+  if (friction != 0 && bvh.closestPoint(previous, EPS, previousClosest) === null) {
+    position.copy(previous).multiplyScalar(friction)
+      .addScaledVector(posNoFriction, 1 - friction);
+  } else {
+    position.copy(posNoFriction);
   }
+  this.position.addVectors(position, mesh.position);
 };
 
 // ------------------------ Don't worry about this ---------------------------
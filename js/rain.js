@@ -0,0 +1,211 @@
+"use strict";
+
+/******************************** RAIN ********************************/
+// Rain constructor
+// Parameters:
+//   capacity: (int) the most droplets that can be in the air at once
+//
+// Rain is a system of droplets that fall under gravity from above the cloth.
+// A droplet that hits a triangle of the cloth pushes it (see
+// Cloth.prototype.strike), then splashes into a spray of smaller droplets if
+// the triangle is fairly flat, or slides along it if the triangle is steep.
+// Droplets that miss the cloth splash on the floor. It has the following
+// properties:
+//   this.capacity: (int) the most droplets there can be
+//   this.count: (int) how many droplets there are; droplets 0 to count - 1
+//      are in the air
+//   this.positions: (Float32Array) the position of each droplet, 3 numbers
+//      per droplet, ready to be drawn as THREE.Points
+//   this.velocities: (Float32Array) the velocity of each droplet, in units
+//      per second, 3 numbers per droplet
+//   this.spray: (Uint8Array) for each droplet, 1 if it is spray from a splash,
+//      which falls through the cloth, or 0 if it is a raindrop
+function Rain(capacity) {
+  this.capacity = capacity;
+  this.count = 0;
+  this.positions = new Float32Array(3 * capacity);
+  this.velocities = new Float32Array(3 * capacity);
+  this.spray = new Uint8Array(capacity);
+}
+
+// The most droplets a simulation's rain can hold
+const RAIN_CAPACITY = 4000;
+
+// How far above the top of the cloth raindrops start falling, in units
+const RAIN_HEIGHT = 150;
+
+// How fast raindrops are falling when they start, in units per second
+const RAIN_SPEED = 500;
+
+// Droplets splash on triangles whose normal is at least this close to
+// vertical (this is the cosine of the steepest slope they splash on), and
+// slide down steeper ones
+const RAIN_SPLASH_SLOPE = 0.7;
+
+// How many droplets of spray a splash makes, and how fast they fly off, as a
+// fraction of the speed of the droplet that splashed
+const RAIN_SPRAY_COUNT = 3;
+const RAIN_SPRAY_SPEED = 0.2;
+
+// How far from the cloth a sliding droplet is kept, in units
+const RAIN_SLIDE_OFFSET = 1;
+
+// Add a droplet, and return whether there was room for it.
+// Params:
+// * position: THREE.Vector3 - where the droplet is
+// * velocity: THREE.Vector3 - how fast it is moving, in units per second
+// * spray: boolean - whether it is spray from a splash
+Rain.prototype.add = function(position, velocity, spray) {
+  if (this.count == this.capacity) return false;
+  let i = this.count++;
+  position.toArray(this.positions, 3 * i);
+  velocity.toArray(this.velocities, 3 * i);
+  this.spray[i] = spray ? 1 : 0;
+  return true;
+};
+
+// Remove a droplet, by moving the last droplet into its place.
+// Params:
+// * i: int - the index of the droplet
+Rain.prototype.remove = function(i) {
+  let last = --this.count;
+  this.positions.copyWithin(3 * i, 3 * last, 3 * last + 3);
+  this.velocities.copyWithin(3 * i, 3 * last, 3 * last + 3);
+  this.spray[i] = this.spray[last];
+};
+
+// Splash a droplet of the given velocity at a point on a surface, into a
+// spray of smaller droplets flying up off it.
+// Params:
+// * point: THREE.Vector3 - where the droplet splashed
+// * velocity: THREE.Vector3 - the velocity of the droplet
+// * normal: THREE.Vector3 - the normal of the surface, facing the droplet
+// * random: function - the source of randomness for the spray
+Rain.prototype.splash = function(point, velocity, normal, random) {
+  let speed = RAIN_SPRAY_SPEED * velocity.length();
+  let position = point.clone().addScaledVector(normal, RAIN_SLIDE_OFFSET);
+  let spray = new THREE.Vector3();
+  for (let i = 0; i < RAIN_SPRAY_COUNT; i++) {
+    // Up off the surface, and out in a random direction
+    spray.set(random() - 0.5, random() - 0.5, random() - 0.5)
+      .multiplyScalar(2).add(normal).setLength(speed);
+    this.add(position, spray, true);
+  }
+};
+
+// Move the rain forward in time: start new raindrops above the cloth, let
+// every droplet fall, and strike the cloth or the floor with the ones that
+// hit them.
+// Params:
+// * cloth: Cloth - the cloth the rain falls on
+// * floorY: Number - the height of the floor
+// * deltaT: Number - the length of time to move the rain over, in seconds
+// * random: function - the source of randomness for the rain
+Rain.prototype.step = function(cloth, floorY, deltaT, random) {
+  let params = cloth.params;
+  let particles = cloth.particles;
+  let faces = cloth.faces;
+
+  // Start params.rainRate raindrops at random, above the whole cloth
+  if (params.rain) {
+    let clothBox = new THREE.Box3();
+    for (let particle of particles) clothBox.expandByPoint(particle.position);
+    let start = new THREE.Vector3();
+    let fall = new THREE.Vector3(0, -RAIN_SPEED, 0);
+    for (let i = 0; i < params.rainRate; i++) {
+      start.set(
+        THREE.Math.lerp(clothBox.min.x, clothBox.max.x, random()),
+        clothBox.max.y + RAIN_HEIGHT,
+        THREE.Math.lerp(clothBox.min.z, clothBox.max.z, random())
+      );
+      this.add(start, fall, false);
+    }
+  }
+  if (this.count == 0) return;
+
+  // Find the triangles of the cloth near each raindrop's path with a grid
+  let cellSize = 2 * cloth.restDistance;
+  let grid = new SweptGrid(cellSize, faces.length);
+  for (let f = 0; f < faces.length; f++) {
+    let face = faces[f];
+    grid.insert(sweptBox([particles[face.a], particles[face.b], particles[face.c]], 0), f);
+  }
+
+  let position = new THREE.Vector3();
+  let velocity = new THREE.Vector3();
+  let end = new THREE.Vector3();
+  let path = new THREE.Box3();
+  let ray = new THREE.Ray();
+  let point = new THREE.Vector3();
+  let hit = new THREE.Vector3();
+  let normal = new THREE.Vector3();
+  let weights = new THREE.Vector3();
+  let push = new THREE.Vector3();
+  const up = new THREE.Vector3(0, 1, 0);
+  // Go backwards, so that removing a droplet only moves one already handled
+  // (or spray made this step) into its place
+  for (let i = this.count - 1; i >= 0; i--) {
+    position.fromArray(this.positions, 3 * i);
+    velocity.fromArray(this.velocities, 3 * i);
+    velocity.y -= params.GRAVITY * deltaT;
+    end.copy(position).addScaledVector(velocity, deltaT);
+
+    // The first triangle of the cloth on the raindrop's path this step
+    let struck = -1;
+    let length = position.distanceTo(end);
+    if (!this.spray[i] && length > 0) {
+      ray.origin.copy(position);
+      ray.direction.subVectors(end, position).divideScalar(length);
+      path.makeEmpty().expandByPoint(position).expandByPoint(end);
+      let best = length;
+      grid.query(path, function(f) {
+        let face = faces[f];
+        let a = particles[face.a].position;
+        let b = particles[face.b].position;
+        let c = particles[face.c].position;
+        if (ray.intersectTriangle(a, b, c, false, point) === null) return;
+        let distance = point.distanceTo(position);
+        if (distance <= best) {
+          best = distance;
+          struck = f;
+          hit.copy(point);
+        }
+      });
+    }
+
+    if (struck >= 0) {
+      let face = faces[struck];
+      let a = particles[face.a].position;
+      let b = particles[face.b].position;
+      let c = particles[face.c].position;
+      THREE.Triangle.getNormal(a, b, c, normal);
+      if (normal.dot(velocity) > 0) normal.negate();
+
+      // Push the cloth into its surface, by as much of rainStrength as the
+      // raindrop was moving into it
+      let into = -normal.dot(velocity) / velocity.length();
+      push.copy(normal).multiplyScalar(-params.rainStrength * into);
+      THREE.Triangle.getBarycoord(hit, a, b, c, weights);
+      cloth.strike(face, weights, push);
+
+      if (Math.abs(normal.dot(up)) >= RAIN_SPLASH_SLOPE) {
+        this.splash(hit, velocity, normal, random);
+        this.remove(i);
+        continue;
+      }
+      // Slide along the triangle, just off its surface
+      velocity.addScaledVector(normal, -normal.dot(velocity));
+      end.copy(hit).addScaledVector(normal, RAIN_SLIDE_OFFSET);
+    } else if (end.y <= floorY) {
+      if (!this.spray[i]) {
+        end.y = floorY;
+        this.splash(end, velocity, up, random);
+      }
+      this.remove(i);
+      continue;
+    }
+
+    end.toArray(this.positions, 3 * i);
+    velocity.toArray(this.velocities, 3 * i);
+  }
+};
@@ -0,0 +1,513 @@
+"use strict";
+
+/****************************** SIMULATION ******************************/
+// Simulation constructor
+// Parameters:
+//   params: (Params) the parameters to simulate with. In the browser this
+//      is SceneParams; from Node, use `new Params()` (see `headless.js`).
+//
+// A simulation owns everything needed to step the cloth physics, and never
+// touches the DOM, the Scene or the Renderer. It has the following properties:
+//   this.params: (Params) the parameters being simulated
+//   this.time: (Number) the simulation clock, in milliseconds
+//   this.accumulator: (Number) real time, in milliseconds, that run() has been
+//      given but not yet simulated, because it is shorter than a TIMESTEP
+//   this.alpha: (Number) in [0, 1), how far into the next step the
+//      accumulator is; see interpolatePosition
+//   this.paused: (boolean) whether run() is paused; the simulation can still
+//      be stepped by hand with stepForward() and stepBack()
+//   this.history: (StateHistory) the most recent states of the simulation,
+//      one per step, to step back through
+//   this.random: (function) the seeded source of randomness for everything
+//      stochastic in the simulation; use it instead of Math.random()
+//   this.cloth: (Cloth) the cloth being simulated
+//   this.colliders: (ColliderRegistry) the objects the cloth collides with
+//   this.rain: (Rain) the droplets of rain falling, if it is raining
+//   this.panels: (Panel[]) the panels to cut the cloth from while
+//      params.clothShape is "Custom", or null for a rectangle
+//   this.sewingStart: (Number) the time the cloth was made, in
+//      milliseconds, from which its seams are sewn (see sewingProgress)
+//   this.welded: (boolean) whether the seams of the cloth have been welded,
+//      so that there is nothing left to sew
+//   this.randomPoints: (int[]) the indices of the particles by which the
+//      cloth is suspended in "Random" pinning mode
+//   this.grabbed: the particle being dragged around (e.g. by the mouse), or
+//      null. It has properties `index`, the index of the particle, and
+//      `target` (THREE.Vector3), where it is being dragged to
+//   this.handPins: (Map) the particles pinned in place by hand, from their
+//      indices to where they are pinned (THREE.Vector3)
+function Simulation(params) {
+  this.params = params;
+  this.time = 0;
+  this.accumulator = 0;
+  this.alpha = 0;
+  this.paused = false;
+  this.savedPositions = null;
+
+  // The floor is a horizontal plane just below SceneParams.groundY, with
+  // params.object on it
+  this.colliders = new ColliderRegistry(params.groundY - 1);
+  this.placeObject(params.object);
+
+  // The droplets of rain, which fall onto the cloth and the floor
+  this.rain = new Rain(RAIN_CAPACITY);
+
+  this.panels = null;
+  this.restartCloth();
+}
+
+// Returns a function that, like Math.random(), returns pseudo-random numbers
+// in [0, 1), but always returns the same sequence for the same integer seed
+// (this is the mulberry32 generator).
+// The function's `state` property is the generator's internal state, which
+// can be saved and set again to replay the same numbers from there.
+Simulation.seededRandom = function(seed) {
+  let state = seed >>> 0;
+  let random = function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  Object.defineProperty(random, "state", {
+    get: function() { return state; },
+    set: function(value) { state = value >>> 0; },
+  });
+  return random;
+}
+
+// Move a geometry up or down so that it rests on the floor, like the sphere.
+Simulation.restOnFloor = function(geometry) {
+  geometry.computeBoundingBox();
+  geometry.translate(0, -250 - geometry.boundingBox.min.y, 0);
+  return geometry;
+}
+
+// While SceneParams.movingSphere is on, the sphere circles around the middle
+// of the cloth, bobbing up and down (see ColliderRegistry.prototype.move).
+Simulation.sphereMotion = function(time, sphere) {
+  sphere.position.y = 50 * Math.sin(time / 600);
+  sphere.position.x = 50 * Math.sin(time / 600);
+  sphere.position.z = 50 * Math.cos(time / 600);
+}
+
+// While SceneParams.movingSphere is on, the spinning box turns about the
+// vertical, tilted, and sways from side to side.
+Simulation.spinningBoxMotion = function(time, box) {
+  box.position.x = 50 * Math.sin(time / 900);
+  box.quaternion.setFromEuler(new THREE.Euler(Math.PI / 8, time / 1200, 0));
+}
+
+// Functions that fill a ColliderRegistry with the objects in
+// GuiConfig.dropdownOptions.objects, by name. The objects are centered below
+// the cloth.
+// Params:
+// * colliders: ColliderRegistry - the registry to add the objects to
+// * params: Params - the parameters being simulated
+Simulation.objects = {
+  None: function(colliders, params) {},
+  // The sphere rests on the floor
+  Sphere: function(colliders, params) {
+    let radius = params.sphereRadius;
+    let sphere = colliders.addSphere(new THREE.Vector3(0, -250 + radius, 0), radius);
+    sphere.motion = Simulation.sphereMotion;
+  },
+  Box: function(colliders, params) {
+    colliders.addBox(new THREE.Vector3(0, 0, 0), new THREE.Vector3(250, 100, 250));
+  },
+  SpinningBox: function(colliders, params) {
+    let box = colliders.addBox(new THREE.Vector3(0, 0, 0), new THREE.Vector3(250, 100, 250),
+      new THREE.Euler(Math.PI / 8, 0, 0));
+    box.motion = Simulation.spinningBoxMotion;
+  },
+  // A table on the floor with a ball on top, as scenes often need
+  TableAndBall: function(colliders, params) {
+    colliders.addBox(new THREE.Vector3(0, -200, 0), new THREE.Vector3(250, 100, 250));
+    colliders.addSphere(new THREE.Vector3(0, -70, 0), 80);
+  },
+  // A leg lying on the floor, say
+  Capsule: function(colliders, params) {
+    colliders.addCapsule(new THREE.Vector3(0, -190, -150), new THREE.Vector3(0, -190, 150), 60);
+  },
+  // A curtain rod. Like any collider, it must be thicker than the particles
+  // of the cloth are apart, or they will slip past it on either side.
+  Cylinder: function(colliders, params) {
+    colliders.addCylinder(new THREE.Vector3(-400, 0, 0), new THREE.Vector3(400, 0, 0), 40);
+  },
+  // A ring lying on the floor
+  Torus: function(colliders, params) {
+    colliders.addTorus(new THREE.Vector3(0, -200, 0), new THREE.Vector3(0, 1, 0), 150, 50);
+  },
+  // Triangle meshes
+  Icosahedron: function(colliders, params) {
+    colliders.addMesh(Simulation.restOnFloor(new THREE.IcosahedronGeometry(150, 1)));
+  },
+  TorusKnot: function(colliders, params) {
+    colliders.addMesh(Simulation.restOnFloor(new THREE.TorusKnotGeometry(100, 45, 128, 16).rotateX(Math.PI / 2)));
+  },
+};
+
+// Replace every collider but the floor with one of Simulation.objects.
+// Returns whether there is such an object (names are not case-sensitive).
+// Params:
+// * object: String - the name of the object
+Simulation.prototype.placeObject = function(object) {
+  let name = Object.keys(Simulation.objects).find(function(name) {
+    return name.toLowerCase() === object.toLowerCase();
+  });
+  if (name === undefined) return false;
+
+  this.colliders.clear();
+  Simulation.objects[name](this.colliders, this.params);
+  return true;
+}
+
+// Recreate the cloth from scratch, e.g. after a fundamental cloth
+// property has changed.
+// The random generator is reseeded too, so that restarting with the same
+// SceneParams.seed reproduces exactly the same random pins, rain, etc.
+Simulation.prototype.restartCloth = function() {
+  let params = this.params;
+  this.random = Simulation.seededRandom(params.seed);
+  // A rectangle is a grid, and any other shape is cut from panels
+  let shape = Panel.shapes[params.clothShape];
+  let panels = shape ? shape(params) : this.panels;
+  this.cloth = new Cloth(params.xSegs, params.ySegs, params, this.random, panels);
+  // The turbulent wind draws from its own generator, so that it doesn't
+  // change the random pins and rain of a seed
+  this.cloth.windField = new WindField(Simulation.seededRandom(params.seed));
+  this.sewingStart = this.time;
+  this.welded = false;
+
+  this.randomPoints = [];
+  this.grabbed = null;
+  this.handPins = new Map();
+  this.pinCloth(params.pinned);
+
+  // There is nothing to interpolate from until the new cloth takes a step
+  this.savedPositions = null;
+
+  // The new cloth starts a new history
+  this.history = new StateHistory(params.historyLength);
+  this.history.push(this);
+}
+
+// Run the simulation for `elapsed` milliseconds of real time, scaled by
+// SceneParams.timeScale, in as many fixed steps of SceneParams.TIMESTEP as fit.
+// The time left over is carried over to the next call.
+//
+// At most SceneParams.maxStepsPerFrame steps are run per call, and any time
+// beyond that is dropped, so that a simulation too slow to keep up with real
+// time just runs slower, rather than taking longer and longer to catch up.
+// Nothing is run while the simulation is paused.
+// Params:
+// * elapsed: Number - the real time since the last call, in milliseconds
+// Returns the number of steps that were run.
+Simulation.prototype.run = function(elapsed) {
+  if (this.paused) return 0;
+  let params = this.params;
+  let stepLength = params.TIMESTEP * 1000;
+  this.accumulator += elapsed * params.timeScale;
+
+  let steps = 0;
+  while (this.accumulator >= stepLength && steps < params.maxStepsPerFrame) {
+    this.savePositions();
+    this.advance(stepLength);
+    this.accumulator -= stepLength;
+    steps++;
+  }
+  this.accumulator %= stepLength;
+  this.alpha = this.accumulator / stepLength;
+  return steps;
+}
+
+// Remember where every particle is before a step, to interpolate from.
+Simulation.prototype.savePositions = function() {
+  let particles = this.cloth.particles;
+  let saved = this.savedPositions;
+  if (!saved || saved.length != 3 * particles.length) {
+    saved = this.savedPositions = new Float32Array(3 * particles.length);
+  }
+  for (let i = 0; i < particles.length; i++) {
+    particles[i].position.toArray(saved, 3 * i);
+  }
+}
+
+// Set target to where particle i of the cloth should be drawn: this.alpha of
+// the way from its position before the last step run() took, to its position
+// now. This keeps the motion smooth when frames don't line up with steps.
+// Params:
+// * i: int - the index of the particle in this.cloth.particles
+// * target: THREE.Vector3 - the vector to store the position in
+// Returns target.
+Simulation.prototype.interpolatePosition = function(i, target) {
+  let position = this.cloth.particles[i].position;
+  let saved = this.savedPositions;
+  if (!saved || 3 * i >= saved.length) {
+    return target.copy(position);
+  }
+  return target.fromArray(saved, 3 * i).lerp(position, this.alpha);
+}
+
+// Advance the simulation clock by `elapsed` milliseconds, then perform
+// one timestep of the simulation and record the new state in the history.
+// Params:
+// * elapsed: Number - how far to move the clock forward, in milliseconds
+Simulation.prototype.advance = function(elapsed) {
+  this.time += elapsed;
+  this.step();
+  this.history.push(this);
+}
+
+// Move forward by one TIMESTEP: to the next state in the history if the
+// simulation stepped back from it, or else by simulating a new step.
+Simulation.prototype.stepForward = function() {
+  if (!this.history.stepForward(this)) {
+    this.advance(this.params.TIMESTEP * 1000);
+  }
+  this.savedPositions = null;
+}
+
+// Move back by one TIMESTEP, as long as the history still has the state
+// from then. Running or stepping forward from an earlier state simulates
+// anew from there, discarding the states that came after it.
+Simulation.prototype.stepBack = function() {
+  this.history.stepBack(this);
+  this.savedPositions = null;
+}
+
+// Performs one timestep of the simulation at the current clock time.
+//
+// With SceneParams.solver set to "Legacy", the constraints are enforced once,
+// in a single pass over the whole TIMESTEP. With "XPBD", the TIMESTEP is split
+// into SceneParams.substeps substeps, and each one enforces the constraints
+// SceneParams.solverIterations times (see Constraint.prototype.enforceXPBD).
+Simulation.prototype.step = function() {
+  let params = this.params;
+  let cloth = this.cloth;
+
+  // If toggled, move the colliders that move (the sphere and the spinning box)
+  // for interactive fun
+  if (params.movingSphere) {
+    this.colliders.move(this.time);
+  }
+
+  // Pick up any change to the pinned particles or the wave
+  this.updatePins();
+
+  // Pull the seams of a cloth cut from panels a little further together
+  if (cloth.panels && !this.welded) {
+    cloth.sew(this.sewingProgress());
+  }
+
+  // Let the rain fall, striking the cloth once per step like the impulses.
+  // Droplets already falling keep falling after the rain stops.
+  this.rain.step(cloth, this.colliders.floor.position.y, params.TIMESTEP, this.random);
+
+  if (params.solver === "XPBD") {
+    // Strike the cloth once per frame, however many substeps it is split into
+    cloth.applyImpulses(this.time);
+
+    // Damp each substep so that a whole TIMESTEP is damped by DAMPING
+    let substeps = params.substeps;
+    let deltaT = params.TIMESTEP / substeps;
+    let damping = 1 - Math.pow(1 - params.DAMPING, 1 / substeps);
+    for (let i = 0; i < substeps; i++) {
+      cloth.applyForces(this.time, deltaT);
+      this.substep(deltaT, damping);
+    }
+  } else {
+    // Apply all relevant forces and impulses to the cloth's particles
+    cloth.applyForces(this.time, params.TIMESTEP);
+    cloth.applyImpulses(this.time);
+    this.substep(params.TIMESTEP, params.DAMPING);
+  }
+
+  // Weld the seams once they are sewn
+  if (cloth.panels && !this.welded && this.sewingProgress() >= 1) {
+    this.weldSeams();
+  }
+}
+
+// Returns how far the seams of the cloth have been sewn at the current
+// clock time, from 0 when the cloth is made to 1 once SceneParams.sewingSteps
+// steps have passed (see Cloth.prototype.sew).
+Simulation.prototype.sewingProgress = function() {
+  let params = this.params;
+  let duration = params.sewingSteps * params.TIMESTEP * 1000;
+  return duration > 0 ? (this.time - this.sewingStart) / duration : 1;
+}
+
+// Weld the seams of the cloth, if it has any left (see Cloth.prototype.weld),
+// and keep hold of the same particles by their new indices: the one being
+// dragged, the ones pinned in place by hand and the random pins.
+Simulation.prototype.weldSeams = function() {
+  let remap = this.cloth.weld();
+  this.welded = true;
+  if (!remap) return;
+
+  if (this.grabbed) {
+    this.grabbed.index = remap[this.grabbed.index];
+  }
+  let handPins = new Map();
+  for (let [i, point] of this.handPins) {
+    handPins.set(remap[i], point);
+  }
+  this.handPins = handPins;
+  this.randomPoints = this.randomPoints.map(function(i) { return remap[i]; });
+  // The particles to interpolate from have been merged
+  this.savedPositions = null;
+}
+
+// Integrates the forces already applied to the cloth over deltaT seconds,
+// then handles collisions and enforces constraints.
+// Params:
+// * deltaT: Number - the length of time dt over which to integrate
+// * damping: Number - the damping coefficient for integration over deltaT
+Simulation.prototype.substep = function(deltaT, damping) {
+  let params = this.params;
+  let cloth = this.cloth;
+
+  // For each particle, perform Verlet integration to compute its new position
+  cloth.update(deltaT, damping);
+
+  // Handle collisions with other objects in the scene
+  cloth.handleCollisions(this.colliders);
+
+  // Handle self-intersections
+  if (params.avoidClothSelfIntersection) {
+    cloth.handleSelfIntersections();
+  }
+
+  // Apply cloth constraints, unless the integrator already treated them as springs
+  if (Integrators[params.integrator].springs) {
+    // Nothing to do
+  } else if (params.solver === "XPBD") {
+    cloth.enforceConstraintsXPBD(deltaT, params.solverIterations);
+  } else {
+    cloth.enforceConstraints();
+  }
+
+  // Tear the constraints that are still stretched too far
+  if (params.tearable) {
+    cloth.tearOverstretched(params.tearThreshold);
+  }
+
+  // Stop the triangles of the cloth from passing through each other during
+  // this timestep, now that the particles are where they'll end it
+  if (params.continuousSelfCollision) {
+    cloth.handleContinuousSelfCollisions();
+  }
+}
+
+// Choose the points by which the cloth is suspended.
+// Random points are kept until another choice is made (or the cloth is
+// restarted), so they stay put while other settings change.
+// Params:
+// * choice: String - one of GuiConfig.dropdownOptions.pinned
+Simulation.prototype.pinCloth = function(choice) {
+  if (choice != "Random") {
+    this.randomPoints = [];
+  } else if (this.randomPoints.length == 0) {
+    let nPoints = Math.round(this.random() * 10) + 1;
+    for (let r = 0; r < nPoints; r++) {
+      this.randomPoints.push(this.cloth.randomParticle());
+    }
+  }
+  this.updatePins();
+}
+
+// Pin the particles by which the cloth is suspended, as chosen by
+// SceneParams.pinned (or both edges of the cloth in wave mode), and release
+// all the others.
+// Pinned particles have an infinite mass, so they don't need to be put back
+// in place every step: nothing moves them in the first place.
+Simulation.prototype.updatePins = function() {
+  let cloth = this.cloth;
+  let particles = cloth.particles;
+
+  // The sides and corners are found by texture coordinates, so that they
+  // are the rows and columns at the edges of a grid, and the parts of the
+  // outline closest to them for a cloth cut from panels
+  let pinned = new Set();
+  let pinEdge = function(axis, value) {
+    for (let i of cloth.edgeParticles(axis, value)) pinned.add(i);
+  };
+
+  let choice = this.params.pinned;
+  if (this.params.wave) {
+    // Special case for wave: keep one edge stationary while the opposing one
+    // oscillates (applyWave moves the pinned edge itself)
+    pinEdge(0, 1);
+    pinEdge(0, 0);
+  } else if (choice === "Corners") {
+    for (let [u, v] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+      pinned.add(cloth.nearestParticle(u, v));
+    }
+  } else if (choice === "OneEdge") {
+    pinEdge(1, 0);
+  } else if (choice === "TwoEdges") {
+    pinEdge(0, 0);
+    pinEdge(0, 1);
+  } else if (choice === "FourEdges") {
+    pinEdge(1, 0);
+    pinEdge(1, 1);
+    pinEdge(0, 0);
+    pinEdge(0, 1);
+  } else if (choice === "Random") {
+    for (let i of this.randomPoints) {
+      pinned.add(i);
+    }
+  }
+
+  for (let i = 0; i < particles.length; i++) {
+    if (this.grabbed && this.grabbed.index == i) {
+      particles[i].pinAt(this.grabbed.target);
+    } else if (this.handPins.has(i)) {
+      particles[i].pinAt(this.handPins.get(i));
+    } else if (pinned.has(i)) {
+      particles[i].pin();
+    } else {
+      particles[i].unpin();
+    }
+  }
+}
+
+// Start dragging a particle around, holding it at the given point until it
+// is released. A particle pinned in place by hand is unpinned to be dragged.
+// Params:
+// * index: int - the index of the particle in the cloth
+// * point: THREE.Vector3 - where to hold it
+Simulation.prototype.grabParticle = function(index, point) {
+  this.handPins.delete(index);
+  this.grabbed = { index: index, target: point.clone() };
+  this.updatePins();
+}
+
+// Move the particle being dragged to the given point.
+// Params:
+// * point: THREE.Vector3 - where to hold it
+Simulation.prototype.dragParticle = function(point) {
+  if (!this.grabbed) return;
+  this.grabbed.target.copy(point);
+  this.updatePins();
+}
+
+// Let go of the particle being dragged, so that it falls (or goes back to
+// where it is pinned), or else pin it where it is.
+// Params:
+// * pinInPlace: boolean - whether to pin the particle where it is
+Simulation.prototype.releaseParticle = function(pinInPlace) {
+  if (!this.grabbed) return;
+  let grabbed = this.grabbed;
+  this.grabbed = null;
+  if (pinInPlace) {
+    this.handPins.set(grabbed.index, grabbed.target);
+  } else {
+    // Unpin it, so that it is pinned back at its original position if the
+    // pinning mode pins it
+    this.cloth.particles[grabbed.index].unpin();
+  }
+  this.updatePins();
+}
@@ -0,0 +1,179 @@
+"use strict";
+
+/***************************** STATE HISTORY *****************************/
+// StateHistory constructor
+// Parameters:
+//   capacity: (int) how many states to keep; once full, recording a new state
+//      overwrites the oldest one
+//
+// A state history is a ring buffer of the most recent states of a Simulation,
+// which lets the simulation step back and forth through them. It has the
+// following properties:
+//   this.capacity: (int) the maximum number of states kept
+//   this.states: (Object[]) the ring buffer of states; see StateHistory.capture
+//   this.start: (int) index into this.states of the oldest state
+//   this.count: (int) how many states are kept
+//   this.cursor: (int) which state the simulation is at, counting from the
+//      oldest one (0) to the newest one (count - 1)
+function StateHistory(capacity) {
+  this.capacity = Math.max(1, capacity);
+  this.states = [];
+  this.start = 0;
+  this.count = 0;
+  this.cursor = -1;
+}
+
+// Record the current state of the simulation as the newest state.
+// Any states after the cursor (i.e. the ones the simulation stepped back from)
+// are discarded first, since the simulation is now taking a different path.
+// Params:
+// * simulation: Simulation - the simulation to record
+StateHistory.prototype.push = function(simulation) {
+  this.count = this.cursor + 1;
+  if (this.count == this.capacity) {
+    this.start = (this.start + 1) % this.capacity;
+    this.count--;
+  }
+
+  // Reuse the arrays of the state being overwritten
+  let slot = (this.start + this.count) % this.capacity;
+  this.states[slot] = StateHistory.capture(simulation, this.states[slot]);
+  this.count++;
+  this.cursor = this.count - 1;
+};
+
+// Move the simulation back to the state before the current one, if it is
+// still kept. Returns whether the simulation moved.
+// Params:
+// * simulation: Simulation - the simulation this history was recorded from
+StateHistory.prototype.stepBack = function(simulation) {
+  if (this.cursor <= 0) return false;
+  this.cursor--;
+  StateHistory.restore(simulation, this.states[(this.start + this.cursor) % this.capacity]);
+  return true;
+};
+
+// Move the simulation forward to the state after the current one, if it
+// stepped back from it. Returns whether the simulation moved.
+// Params:
+// * simulation: Simulation - the simulation this history was recorded from
+StateHistory.prototype.stepForward = function(simulation) {
+  if (this.cursor >= this.count - 1) return false;
+  this.cursor++;
+  StateHistory.restore(simulation, this.states[(this.start + this.cursor) % this.capacity]);
+  return true;
+};
+
+// Return a copy of everything that changes as the simulation steps: the
+// clock, the state of the random generator, the particles' positions, the
+// particles, constraints and faces left as the cloth tears or its seams are
+// welded (and whether they have been), the particles pinned at random or by
+// hand and the one being dragged, the droplets of rain, and the colliders'
+// positions and rotations.
+// Params:
+// * simulation: Simulation - the simulation to copy the state of
+// * state: Object - optionally, an older state whose arrays can be reused
+StateHistory.capture = function(simulation, state) {
+  let particles = simulation.cloth.particles;
+  let colliders = simulation.colliders.list;
+  if (!state || state.positions.length != 3 * particles.length ||
+      state.colliderPositions.length != 3 * colliders.length) {
+    state = {
+      positions: new Float64Array(3 * particles.length),
+      previous: new Float64Array(3 * particles.length),
+      colliderPositions: new Float64Array(3 * colliders.length),
+      colliderPrevPositions: new Float64Array(3 * colliders.length),
+      colliderQuaternions: new Float64Array(4 * colliders.length),
+      colliderPrevQuaternions: new Float64Array(4 * colliders.length),
+    };
+  }
+
+  state.time = simulation.time;
+  // Stepping back rewinds the generator too, so that replaying a step
+  // draws the same numbers
+  state.random = simulation.random.state;
+  state.waveOffset = simulation.cloth.waveOffset;
+  state.welded = simulation.welded;
+  // Tearing and welding replace these lists rather than changing them, so
+  // they needn't be copied
+  state.constraints = simulation.cloth.constraints;
+  state.faces = simulation.cloth.faces;
+  state.particles = particles;
+  state.uvs = simulation.cloth.uvs;
+  state.boundary = simulation.cloth.boundary;
+  let rain = simulation.rain;
+  state.rainCount = rain.count;
+  state.rainPositions = rain.positions.slice(0, 3 * rain.count);
+  state.rainVelocities = rain.velocities.slice(0, 3 * rain.count);
+  state.rainSpray = rain.spray.slice(0, rain.count);
+  // The pins are by particle index, which welding changes
+  state.randomPoints = simulation.randomPoints.slice();
+  state.handPins = new Map(simulation.handPins);
+  state.grabbed = StateHistory.copyGrab(simulation.grabbed);
+  for (let i = 0; i < particles.length; i++) {
+    particles[i].position.toArray(state.positions, 3 * i);
+    particles[i].previous.toArray(state.previous, 3 * i);
+  }
+  state.colliders = colliders.slice();
+  for (let i = 0; i < colliders.length; i++) {
+    colliders[i].position.toArray(state.colliderPositions, 3 * i);
+    colliders[i].prevPosition.toArray(state.colliderPrevPositions, 3 * i);
+    if (colliders[i].quaternion) {
+      colliders[i].quaternion.toArray(state.colliderQuaternions, 4 * i);
+      colliders[i].prevQuaternion.toArray(state.colliderPrevQuaternions, 4 * i);
+    }
+  }
+  return state;
+};
+
+// Put the simulation back in a state returned by StateHistory.capture.
+// Colliders added to the simulation since the state was captured are taken
+// out again, and the ones removed since are put back.
+// Params:
+// * simulation: Simulation - the simulation the state was captured from
+// * state: Object - the state to restore
+StateHistory.restore = function(simulation, state) {
+  let particles = state.particles;
+  let colliders = state.colliders;
+  simulation.colliders.list = colliders.slice();
+
+  simulation.time = state.time;
+  simulation.random.state = state.random;
+  simulation.cloth.particles = particles;
+  simulation.cloth.uvs = state.uvs;
+  simulation.cloth.boundary = state.boundary;
+  // The next step pins the particles by these
+  simulation.randomPoints = state.randomPoints.slice();
+  simulation.handPins = new Map(state.handPins);
+  simulation.grabbed = StateHistory.copyGrab(state.grabbed);
+  simulation.cloth.waveOffset = state.waveOffset;
+  simulation.welded = state.welded;
+  if (simulation.cloth.faces !== state.faces) {
+    simulation.cloth.faces = state.faces;
+    simulation.cloth.edges = undefined;
+  }
+  simulation.cloth.constraints = state.constraints;
+  let rain = simulation.rain;
+  rain.count = state.rainCount;
+  rain.positions.set(state.rainPositions);
+  rain.velocities.set(state.rainVelocities);
+  rain.spray.set(state.rainSpray);
+  for (let i = 0; i < particles.length; i++) {
+    particles[i].position.fromArray(state.positions, 3 * i);
+    particles[i].previous.fromArray(state.previous, 3 * i);
+  }
+  for (let i = 0; i < colliders.length; i++) {
+    colliders[i].position.fromArray(state.colliderPositions, 3 * i);
+    colliders[i].prevPosition.fromArray(state.colliderPrevPositions, 3 * i);
+    if (colliders[i].quaternion) {
+      colliders[i].quaternion.fromArray(state.colliderQuaternions, 4 * i);
+      colliders[i].prevQuaternion.fromArray(state.colliderPrevQuaternions, 4 * i);
+    }
+  }
+};
+
+// Returns a copy of a Simulation's grabbed particle (see Simulation), whose
+// target moves as it is dragged, or null if there is none.
+StateHistory.copyGrab = function(grabbed) {
+  return grabbed ? { index: grabbed.index, target: grabbed.target.clone() } : null;
+};
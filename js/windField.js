@@ -0,0 +1,143 @@
+"use strict";
+
+/****************************** WIND FIELD ******************************/
+// WindField constructor
+// Parameters:
+//   random: (function) returns pseudo-random numbers in [0, 1) like
+//      Math.random, e.g. a seeded generator, to lay out the noise with
+//
+// A wind field is a turbulent wind that varies from place to place and over
+// time: the base wind blowing in one direction, plus eddies from curl noise
+// (Bridson et al., "Curl-Noise for Procedural Fluid Flow"). The eddies are the
+// curl of three Perlin noise potentials, so the air they move neither
+// bunches up nor thins out, and they are carried along with the base wind
+// while slowly changing shape. It has the following properties:
+//   this.permutation: (Uint8Array) the shuffled lattice hash of the noise,
+//      repeated twice so that it can be indexed without wrapping
+function WindField(random) {
+  let permutation = [];
+  for (let i = 0; i < 256; i++) permutation.push(i);
+  // Fisher-Yates shuffle
+  for (let i = 255; i > 0; i--) {
+    let j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  this.permutation = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) this.permutation[i] = permutation[i & 255];
+}
+
+// Where each of the three potentials is sampled relative to the others, in
+// noise lattice cells, so that they are independent of each other
+const WIND_POTENTIAL_OFFSETS = [
+  new THREE.Vector3(0, 0, 0),
+  new THREE.Vector3(31.4, 47.2, 12.8),
+  new THREE.Vector3(-19.1, 83.7, 57.3),
+];
+
+// The direction each potential drifts through the noise as time passes, in
+// lattice cells per gust. Drifting apart, they change the eddies' shape.
+const WIND_POTENTIAL_DRIFTS = [
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(0, 1, 0),
+  new THREE.Vector3(0, 0, 1),
+];
+
+// The step of the finite differences the curl is taken with, in lattice cells
+const WIND_CURL_STEP = 1e-3;
+
+// Scratch space for the partial derivatives of the curl
+const windCurlScratch = new Float64Array(9);
+
+// Helpers for WindField.prototype.noise:
+// Smoothly blend between the corners of a lattice cell
+function windFade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function windLerp(t, a, b) {
+  return a + t * (b - a);
+}
+
+// The dot product of (x, y, z) with one of 12 gradients picked by hash
+function windGrad(hash, x, y, z) {
+  let h = hash & 15;
+  let u = h < 8 ? x : y;
+  let v = h < 4 ? y : (h == 12 || h == 14 ? x : z);
+  return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+}
+
+// Return improved Perlin noise at the point (x, y, z), in about [-1, 1].
+// The noise is 0 at every lattice point, and varies smoothly over about one
+// lattice cell.
+// Params:
+// * x, y, z: Number - the point to sample, in lattice cells
+WindField.prototype.noise = function(x, y, z) {
+  let p = this.permutation;
+  let X = Math.floor(x);
+  let Y = Math.floor(y);
+  let Z = Math.floor(z);
+  x -= X;
+  y -= Y;
+  z -= Z;
+  X &= 255;
+  Y &= 255;
+  Z &= 255;
+
+  let u = windFade(x);
+  let v = windFade(y);
+  let w = windFade(z);
+
+  let A = p[X] + Y;
+  let AA = p[A] + Z;
+  let AB = p[A + 1] + Z;
+  let B = p[X + 1] + Y;
+  let BA = p[B] + Z;
+  let BB = p[B + 1] + Z;
+  return windLerp(w,
+    windLerp(v,
+      windLerp(u, windGrad(p[AA], x, y, z), windGrad(p[BA], x - 1, y, z)),
+      windLerp(u, windGrad(p[AB], x, y - 1, z), windGrad(p[BB], x - 1, y - 1, z))),
+    windLerp(v,
+      windLerp(u, windGrad(p[AA + 1], x, y, z - 1), windGrad(p[BA + 1], x - 1, y, z - 1)),
+      windLerp(u, windGrad(p[AB + 1], x, y - 1, z - 1), windGrad(p[BB + 1], x - 1, y - 1, z - 1))));
+};
+
+// Return the curl of the three noise potentials at the given point, in
+// lattice cells, which is typically 1 to 2 long.
+// Params:
+// * point: THREE.Vector3 - the point to sample, in lattice cells
+// * drift: Number - how far each potential has drifted, in lattice cells
+// * target: THREE.Vector3 - where to store the curl
+WindField.prototype.curl = function(point, drift, target) {
+  const h = WIND_CURL_STEP;
+  // d[3 * i + j] is the partial derivative of potential i along axis j
+  let d = windCurlScratch;
+  for (let i = 0; i < 3; i++) {
+    let offset = WIND_POTENTIAL_OFFSETS[i];
+    let x = point.x + offset.x + drift * WIND_POTENTIAL_DRIFTS[i].x;
+    let y = point.y + offset.y + drift * WIND_POTENTIAL_DRIFTS[i].y;
+    let z = point.z + offset.z + drift * WIND_POTENTIAL_DRIFTS[i].z;
+    d[3 * i] = (this.noise(x + h, y, z) - this.noise(x - h, y, z)) / (2 * h);
+    d[3 * i + 1] = (this.noise(x, y + h, z) - this.noise(x, y - h, z)) / (2 * h);
+    d[3 * i + 2] = (this.noise(x, y, z + h) - this.noise(x, y, z - h)) / (2 * h);
+  }
+  return target.set(d[7] - d[5], d[2] - d[6], d[3] - d[1]);
+};
+
+// Return the velocity of the wind at the given point and time: the base wind
+// plus the eddies carried along by it.
+// Params:
+// * point: THREE.Vector3 - where to find the wind
+// * base: THREE.Vector3 - the velocity of the base wind, in units per second
+// * time: Number - the simulation time in milliseconds
+// * params: Params - for the size (turbulenceScale), speed (turbulence) and
+//      rate of change (gustFrequency) of the eddies
+// * target: THREE.Vector3 - where to store the velocity
+WindField.prototype.velocityAt = function(point, base, time, params, target) {
+  let seconds = time / 1000;
+  // The eddies blow along with the base wind
+  let sample = new THREE.Vector3().copy(base).multiplyScalar(-seconds).add(point)
+    .divideScalar(params.turbulenceScale);
+  this.curl(sample, seconds * params.gustFrequency, target);
+  return target.multiplyScalar(params.turbulence * base.length()).add(base);
+};